@@ -1,8 +1,11 @@
 /* @flow */
 'use strict';
 
+var CamUtils = require('./math/CamUtils');
 var Geom = require('./math/GeometryUtils');
-var smallestNumberDivisibleBy = require('./math/smallestNumberDivisibleBy');
+var calcCommonPeriod = require('./math/calcCommonPeriod');
+var solveBarConstraints = require('./math/solveBarConstraints');
+var solveLinearSystem = require('./math/solveLinearSystem');
 
 type Point = {x: number; y: number};
 type LinkageSpecType = {
@@ -10,17 +13,194 @@ type LinkageSpecType = {
   points: Object;
   extenders: Object;
   rotaries: Object;
+  sliders?: Object;
+  actuators?: Object;
+  gears?: Object;
+  cams?: Object;
+  loads?: Object;
+  solutionMap: Object;
 };
 
+type InputRangeType = {
+  fullRotation: boolean;
+  ranges: Array<{start: number; end: number}>;
+  deadPoints: Array<{angle: number; failure: ?Object}>;
+};
+
+// turns a rotary to an angle by setting the angle of the extender at the root
+// of its gears (its own, if it isn't geared): offset + scale * root angle
+type InputMapType = {
+  extID: string;
+  offset: number;
+  scale: number;
+};
+
+type PathOptionsType = {
+  numSamples?: number;
+  resolution?: number;
+};
+
+type InterferenceType = {
+  bars: Array<Array<string>>;
+  steps: Array<{step: number; inputAngles: {[key:string]: number}}>;
+};
+
+type ForcesType = {
+  bars: Array<{p0id: string; p1id: string; force: number}>;
+  torques: {[key:string]: number};
+};
+
+var RAIL_OVERHANG = 5;
+var SLIDER_EPSILON = 1e-6;
+var ACTUATOR_RANGE = .25;
+var INPUT_RANGE_SAMPLES = 360;
+var DEAD_POINT_ITERATIONS = 40;
+var DEFAULT_RPM = 30;
+var RPM_EPSILON = 1e-9;
+var CAM_LIFT = .5;
+var CAM_SAMPLES = 12;
+var CAM_SLOPE_STEP = 1e-4;
+// as wide as bars are drawn
+var DEFAULT_BAR_WIDTH = .4;
+// sampled paths are filled in until their points are no further apart than
+// this, unless that would take more than MAX_PATH_SAMPLES points
+var DEFAULT_PATH_RESOLUTION = .25;
+var MAX_PATH_SAMPLES = 2000;
+var MIN_SAMPLE_GAP = 1e-6;
+// how far, as a fraction of a cycle, to look either side of a sample that
+// can't be solved, in case it's only unsolvable by rounding error
+var SAMPLE_NUDGES = [1e-9, 1e-6];
+
+// errors from solving the linkage carry a description of what went wrong,
+// so that lock ups can be reported instead of just avoided
+function makeSolveError(message: string, failure: Object): Error {
+  var error: any = new Error(message);
+  error.failure = failure;
+  return error;
+}
+
+// folds a length back and forth between min and max, like an actuator that
+// turns back at its limits
+function bounceLength(len: number, min: number, max: number): number {
+  var range = max - min;
+  var offset = (len - min) % (2 * range);
+  if (offset < 0) {
+    offset += 2 * range;
+  }
+  return min + (offset > range ? 2 * range - offset : offset);
+}
+
+function renameKeys(obj: Object, idMap: {[key:string]: string}): Object {
+  var res = {};
+  Object.keys(obj).forEach(id => {
+    res[idMap[id] || id] = obj[id];
+  });
+  return res;
+}
+
+function copyInto(target: Object, source: Object): Object {
+  Object.keys(source).forEach(key => {
+    target[key] = source[key];
+  });
+  return target;
+}
+
+// copies a spec with its point ids renamed according to idMap. ids that
+// aren't in the map are kept as they are
+function remapSpec(
+  spec: LinkageSpecType,
+  idMap: {[key:string]: string}
+): LinkageSpecType {
+  var rename = id => idMap[id] || id;
+  var copy = JSON.parse(JSON.stringify(spec));
+
+  var points = renameKeys(copy.points, idMap);
+  Object.keys(points).forEach(id => {
+    points[id] = renameKeys(points[id], idMap);
+  });
+
+  var extenders = renameKeys(copy.extenders, idMap);
+  Object.keys(extenders).forEach(id => {
+    extenders[id].base = rename(extenders[id].base);
+    extenders[id].ref = rename(extenders[id].ref);
+  });
+
+  var rotaries = renameKeys(copy.rotaries, idMap);
+  Object.keys(rotaries).forEach(id => {
+    rotaries[id] = rename(rotaries[id]);
+  });
+
+  var solutionMap = renameKeys(copy.solutionMap || {}, idMap);
+  Object.keys(solutionMap).forEach(p1id => {
+    solutionMap[p1id] = renameKeys(solutionMap[p1id], idMap);
+    Object.keys(solutionMap[p1id]).forEach(p2id => {
+      solutionMap[p1id][p2id] = renameKeys(solutionMap[p1id][p2id], idMap);
+    });
+  });
+
+  var res: Object = {
+    points,
+    extenders,
+    rotaries,
+    solutionMap,
+    groundPoints: renameKeys(copy.groundPoints, idMap),
+  };
+
+  if (copy.sliders) {
+    res.sliders = renameKeys(copy.sliders, idMap);
+    Object.keys(res.sliders).forEach(id => {
+      var slider = res.sliders[id];
+      slider.base = rename(slider.base);
+      if (slider.ref) {
+        slider.ref = rename(slider.ref);
+      }
+    });
+  }
+
+  if (copy.actuators) {
+    res.actuators = renameKeys(copy.actuators, idMap);
+    Object.keys(res.actuators).forEach(id => {
+      res.actuators[id].base = rename(res.actuators[id].base);
+    });
+  }
+
+  if (copy.cams) {
+    res.cams = renameKeys(copy.cams, idMap);
+    Object.keys(res.cams).forEach(id => {
+      res.cams[id].rotary = rename(res.cams[id].rotary);
+    });
+  }
+
+  if (copy.loads) {
+    res.loads = renameKeys(copy.loads, idMap);
+  }
+
+  if (copy.gears) {
+    res.gears = renameKeys(copy.gears, idMap);
+    Object.keys(res.gears).forEach(id => {
+      res.gears[id].driver = rename(res.gears[id].driver);
+    });
+  }
+
+  return res;
+}
+
 class Linkage {
   spec: LinkageSpecType;
   positions: {[key:string]: Point};
   speed: number;
+  rpm: number;
+  lastFailure: ?Object;
+  lastLockup: ?Object;
 
   constructor(spec: LinkageSpecType) {
     this.spec = spec;
     this.positions = {};
     this.speed = 1/20;
+    // revolutions per minute of a rotary at speed 1, when animated
+    this.rpm = DEFAULT_RPM;
+    this.lastFailure = null;
+    this.lastLockup = null;
   }
 
   scaleSpeed(scale: number) {
@@ -28,41 +208,221 @@ class Linkage {
       throw new Error('can only scale speed by position amount');
     }
 
-    this.speed *= scale;
+    this.rpm *= scale;
+  }
+
+  getRotaryRPM(rotID: string): number {
+    var extID = this.spec.rotaries[rotID];
+    return this.spec.extenders[extID].speed * this.rpm;
+  }
+
+  // moves the linkage on by `seconds` of real time, in steps no bigger than
+  // the usual step size. onStep is called after each of them, so that
+  // anything following the linkage (like a trace) doesn't skip
+  advance(seconds: number, onStep?: () => void): boolean {
+    var time = seconds * this.rpm * 2 * Math.PI / 60;
+    var numSteps = Math.ceil(time / this.speed);
+    var flag = true;
+
+    for (var i = 0; i < numSteps; i++) {
+      flag = this.tryRotatingLinkageInput(time / numSteps) && flag;
+      onStep && onStep();
+    }
+
+    return flag;
   }
 
   getPath(id: string): ?Array<Point> {
+    var paths = this.getPaths([id]);
+    return paths ? paths[id] : null;
+  }
+
+  // time (in which a rotary at speed 1 turns one radian) before every input
+  // is back where it started
+  getCycleTime(): number {
+    var extenders = this.spec.extenders;
+    var actuators = this.spec.actuators || {};
+
+    // an actuator's speed is the number of full strokes (out and back) it
+    // makes per rotation, so it can be treated like a rotary here
+    var speeds = Object.keys(extenders)
+      .map(extID => extenders[extID].speed)
+      .concat(Object.keys(actuators).map(id => Math.abs(actuators[id].speed)));
+    return 2 * Math.PI * calcCommonPeriod(speeds);
+  }
+
+  // number of calls to tryRotatingLinkageInput before every input is back
+  // where it started
+  getStepsPerCycle(): number {
+    return Math.ceil(Math.abs(this.getCycleTime() / this.speed));
+  }
+
+  samplePath(id: string, options?: PathOptionsType): ?Array<Point> {
+    var paths = this.samplePaths([id], options);
+    return paths ? paths[id] : null;
+  }
+
+  // traces points over a cycle like getPaths, but by solving the linkage at
+  // points in time instead of stepping it along, starting from where it is
+  // now. each sample is seeded from the one before it, so groups that are
+  // solved numerically stay on the same branch. with numSamples, the samples
+  // are evenly spaced in time. with a resolution, more samples are added
+  // wherever the points move further than that between them. with neither,
+  // it starts from the usual step size and fills in to
+  // DEFAULT_PATH_RESOLUTION. returns null if the linkage can't make it round
+  samplePaths(
+    ids: Array<string>,
+    options?: PathOptionsType
+  ): ?{[key:string]: Array<Point>} {
+    var opts = options || {};
+    var cycleTime = this.getCycleTime();
+    var numSamples = opts.numSamples || this.getStepsPerCycle();
+    var resolution = opts.resolution ||
+      (opts.numSamples ? 0 : DEFAULT_PATH_RESOLUTION);
+
+    var samples = [];
+    var seed = this.positions;
+    for (var i = 0; i < numSamples; i++) {
+      var sample = this._sampleAtTime(
+        i * cycleTime / numSamples,
+        cycleTime,
+        seed
+      );
+      if (!sample) {
+        return null;
+      }
+      samples.push(sample);
+      seed = sample.positions;
+    }
+
+    // keep splitting the gaps that are too wide, until none are or there
+    // are too many samples
+    var isTooFar = (s1, s2) => ids.some(
+      id => Geom.euclid(s1.positions[id], s2.positions[id]) > resolution
+    );
+    var split = resolution > 0;
+    while (split && samples.length < MAX_PATH_SAMPLES) {
+      split = false;
+      var refined = [];
+      for (i = 0; i < samples.length; i++) {
+        var s1 = samples[i];
+        var s2 = samples[(i + 1) % samples.length];
+        var endTime = i === samples.length - 1 ? cycleTime : s2.time;
+        refined.push(s1);
+
+        // points that jump (like at a change point) won't get any closer
+        if (
+          refined.length + samples.length - i < MAX_PATH_SAMPLES &&
+          endTime - s1.time > MIN_SAMPLE_GAP * cycleTime &&
+          isTooFar(s1, s2)
+        ) {
+          var mid = this._sampleAtTime(
+            (s1.time + endTime) / 2,
+            cycleTime,
+            s1.positions
+          );
+          if (!mid) {
+            return null;
+          }
+          refined.push(mid);
+          split = true;
+        }
+      }
+      samples = refined;
+    }
+
+    var paths = {};
+    ids.forEach(id => {
+      paths[id] = samples.map(({positions}) => positions[id]);
+    });
+    return paths;
+  }
+
+  // the linkage's positions at a time in its cycle. if it can't be solved
+  // right then, try just either side
+  _sampleAtTime(
+    time: number,
+    cycleTime: number,
+    seed: {[key:string]: Point}
+  ): ?{time: number; positions: {[key:string]: Point}} {
+    var positions = this.calculatePositionsAtTime(time, true, seed);
+    if (positions) {
+      return {time, positions};
+    }
+
+    for (var i = 0; i < SAMPLE_NUDGES.length; i++) {
+      var nudge = SAMPLE_NUDGES[i] * cycleTime;
+      positions = this.calculatePositionsAtTime(time + nudge, true, seed) ||
+        this.calculatePositionsAtTime(time - nudge, true, seed);
+      if (positions) {
+        return {time, positions};
+      }
+    }
+
+    return null;
+  }
+
+  // traces several points over the same cycle of the linkage
+  getPaths(ids: Array<string>): ?{[key:string]: Array<Point>} {
+    var paths = {};
+    ids.forEach(id => {paths[id] = []});
+    var success = this._runCycle(
+      () => ids.forEach(id => paths[id].push(this.getPoint(id)))
+    );
+    return success ? paths : null;
+  }
+
+  // the forces at each step of the same cycle as getPaths. steps where they
+  // can't be found are null
+  getForcesOverCycle(): ?Array<?ForcesType> {
+    var forces = [];
+    var success = this._runCycle(() => {forces.push(this.calculateForces())});
+    return success ? forces : null;
+  }
+
+  // steps the linkage through one cycle, calling onStep after each step, and
+  // puts it back where it was. returns false if it locks up on the way
+  _runCycle(onStep: () => void): boolean {
     var extenders = this.spec.extenders;
+    var actuators = this.spec.actuators || {};
 
     // save current state
     var oldInputs = Object.keys(extenders).map(id => {
       return {
         id,
         angle: extenders[id].angle,
+        speed: extenders[id].speed,
+      };
+    });
+    var oldActuators = Object.keys(actuators).map(id => {
+      return {
+        id,
+        len: this.spec.points[actuators[id].base][id].len,
+        speed: actuators[id].speed,
       };
     });
 
-    var speeds = Object.keys(extenders).map(extID => extenders[extID].speed);
-    var numRotations = smallestNumberDivisibleBy(speeds);
-
-    var size = Math.abs(Math.PI*2/this.speed);
-    var path = [];
-    for (var i = 0; i < size * numRotations; i++) {
-      var success = this.tryRotatingLinkageInput();
-      if (!success) {
-        path = null;
-        break;
+    var numSteps = this.getStepsPerCycle();
+    var success = true;
+    for (var i = 0; i < numSteps && success; i++) {
+      success = this.tryRotatingLinkageInput();
+      if (success) {
+        onStep();
       }
-      path.push(this.getPoint(id));
     }
 
     // restore old state
     oldInputs.forEach(o => {
       extenders[o.id].angle = o.angle;
+      extenders[o.id].speed = o.speed;
+    });
+    oldActuators.forEach(o => {
+      this._setBarLength(o.len, actuators[o.id].base, o.id);
+      actuators[o.id].speed = o.speed;
     });
     this.calculatePositions();
 
-    return path;
+    return success;
   }
 
   _deletePointFromSpec(spec: LinkageSpecType, id: string): void {
@@ -70,6 +430,67 @@ class Linkage {
     delete spec.points[id];
     delete spec.rotaries[id];
     delete spec.extenders[id];
+    if (spec.sliders) {
+      delete spec.sliders[id];
+    }
+    if (spec.loads) {
+      delete spec.loads[id];
+    }
+
+    var actuators = spec.actuators;
+    if (actuators) {
+      Object.keys(actuators).forEach(endID => {
+        if (endID === id || actuators[endID].base === id) {
+          delete actuators[endID];
+        }
+      });
+    }
+
+    var gears = spec.gears;
+    if (gears) {
+      Object.keys(gears).forEach(rotID => {
+        if (rotID === id || gears[rotID].driver === id) {
+          delete gears[rotID];
+        }
+      });
+    }
+
+    var cams = spec.cams;
+    if (cams) {
+      Object.keys(cams).forEach(followerID => {
+        if (followerID === id || cams[followerID].rotary === id) {
+          delete cams[followerID];
+          // a follower on nothing but its cam would be left floating
+          var followerBars = spec.points[followerID];
+          if (followerBars && Object.keys(followerBars).length === 0) {
+            this._deletePointFromSpec(spec, followerID);
+          }
+        }
+      });
+    }
+  }
+
+  // ground points that only served as the base of a removed slider's rail
+  // have no bars, so nothing else will clean them up
+  _deleteUnusedRails(spec: LinkageSpecType): void {
+    var sliders = spec.sliders || {};
+    var usedIDs = {};
+    Object.keys(sliders).forEach(id => {
+      usedIDs[sliders[id].base] = true;
+      if (sliders[id].ref) {
+        usedIDs[sliders[id].ref] = true;
+      }
+    });
+
+    Object.keys(spec.groundPoints).forEach(id => {
+      if (
+        spec.points[id] &&
+        Object.keys(spec.points[id]).length === 0 &&
+        !usedIDs[id]
+      ) {
+        this._deletePointFromSpec(spec, id);
+      }
+    });
   }
 
   tryRemovingPoint(id: ?string): boolean {
@@ -87,6 +508,7 @@ class Linkage {
       }
     });
     this._deletePointFromSpec(newSpec, id);
+    this._deleteUnusedRails(newSpec);
 
     try {
       var newPositions = this._calculatePositionsAux(newSpec);
@@ -114,10 +536,85 @@ class Linkage {
         this.spec.extenders[id].speed *= -1;
       });
     } else {
-      // otherwise just apply reversal to the provided rotary
-      var extID = this.spec.rotaries[rotID];
+      // otherwise just apply reversal to the provided rotary (or, if it's
+      // geared, to the rotary driving it)
+      var extID = this.spec.rotaries[this._findGearRoot(rotID)];
       this.spec.extenders[extID].speed *= -1;
     }
+    this._applyGears(this.spec);
+  }
+
+  // declares that one rotary turns with another, at `ratio` times its angle
+  // plus `phase`. the phase defaults to keeping both where they are now
+  setGear(
+    rotID: string,
+    driverID: string,
+    ratio: number,
+    phase?: number
+  ): boolean {
+    var {rotaries, extenders} = this.spec;
+    if (!rotaries[rotID] || !rotaries[driverID] || ratio === 0) {
+      throw new Error('gears need two rotaries and a ratio');
+    }
+    if (this._findGearRoot(driverID) === rotID) {
+      // the driver is already driven by this rotary
+      return false;
+    }
+
+    if (typeof phase !== 'number') {
+      phase = extenders[rotaries[rotID]].angle -
+        ratio * extenders[rotaries[driverID]].angle;
+    }
+
+    if (!this.spec.gears) {
+      this.spec.gears = {};
+    }
+    this.spec.gears[rotID] = {driver: driverID, ratio, phase};
+    this._applyGears(this.spec);
+    return true;
+  }
+
+  removeGear(rotID: string): void {
+    if (this.spec.gears) {
+      delete this.spec.gears[rotID];
+    }
+  }
+
+  _findGearRoot(rotID: string): string {
+    var gears = this.spec.gears || {};
+    var seen = {};
+    while (gears[rotID] && !seen[rotID]) {
+      seen[rotID] = true;
+      rotID = gears[rotID].driver;
+    }
+    return rotID;
+  }
+
+  // sets the angle and speed of every geared rotary from the rotary driving
+  // it, drivers first
+  _applyGears(spec: LinkageSpecType): void {
+    var gears = spec.gears || {};
+    var applied = {};
+
+    var apply = (rotID, visiting) => {
+      var gear = gears[rotID];
+      if (!gear || applied[rotID]) {
+        return;
+      }
+      if (visiting[rotID]) {
+        throw new Error('rotaries are geared in a loop');
+      }
+      visiting[rotID] = true;
+      apply(gear.driver, visiting);
+
+      var driver = spec.extenders[spec.rotaries[gear.driver]];
+      var driven = spec.extenders[spec.rotaries[rotID]];
+      driven.angle = gear.phase + gear.ratio * driver.angle;
+      driven.speed = gear.ratio * driver.speed;
+      applied[rotID] = true;
+    };
+
+    Object.keys(gears).forEach(rotID => apply(rotID, {}));
   }
 
   _changeRotarySpeed(difference: number, extID: string) {
@@ -147,16 +644,59 @@ class Linkage {
         this._changeRotarySpeed(difference, id);
       });
     } else {
-      // otherwise just apply difference to the provided rotary
-      var extID = this.spec.rotaries[rotID];
+      // otherwise just apply difference to the provided rotary (or the one
+      // driving it)
+      var extID = this.spec.rotaries[this._findGearRoot(rotID)];
       this._changeRotarySpeed(difference, extID);
     }
+    this._applyGears(this.spec);
+  }
+
+  // speeds up (or slows down) a rotary, or the one driving it, by
+  // `difference` revolutions per minute, keeping its direction. its speed
+  // needn't stay a whole number, since calcCommonPeriod copes with any ratio
+  changeRotaryRPM(difference: number, rotID: string) {
+    var rootID = this._findGearRoot(rotID);
+    var extender = this.spec.extenders[this.spec.rotaries[rootID]];
+    var rpm = Math.abs(this.getRotaryRPM(rootID)) + difference;
+
+    if (rpm < RPM_EPSILON) {
+      // zero-speed rotaries aren't allowed, and reversing is done elsewhere
+      return;
+    }
+
+    extender.speed = Math.sign(extender.speed) * rpm / this.rpm;
+    this._applyGears(this.spec);
   }
 
   moveNotGroundPoint(
     newPos: Point,
     p0id: string
   ): void {
+    var slider = this.spec.sliders && this.spec.sliders[p0id];
+    if (slider) {
+      // sliders can only be moved along their rail
+      var line = this._calcSliderLine(slider, this.positions);
+      if (line) {
+        newPos = Geom.projectPointOntoLine(newPos, line.point, line.angle);
+      }
+    }
+
+    var cam = this.spec.cams && this.spec.cams[p0id];
+    if (cam) {
+      // followers stay on their cam, but can be moved around it
+      var camCenter = this.positions[cam.rotary];
+      var followerLine = this._calcFollowerLine(cam, this.positions, this.spec);
+      if (followerLine) {
+        cam.angle += Math.atan2(
+          newPos.y - camCenter.y,
+          newPos.x - camCenter.x
+        ) - followerLine.angle;
+        newPos = this._calcFollowerPosition(cam, this.positions, this.spec) ||
+          newPos;
+      }
+    }
+
     if (this.spec.extenders[p0id]) {
       var basePoint = this.positions[this.spec.extenders[p0id].base];
       var refPoint = this.positions[this.spec.extenders[p0id].ref];
@@ -169,17 +709,31 @@ class Linkage {
         refPoint.y - basePoint.y,
         refPoint.x - basePoint.x
       );
+
+      var gears = this.spec.gears || {};
+      var gear = gears[this.spec.extenders[p0id].base];
+      if (gear) {
+        // keep the new angle by shifting the gear's phase
+        var driverExt = this.spec.extenders[this.spec.rotaries[gear.driver]];
+        gear.phase = this.spec.extenders[p0id].angle -
+          gear.ratio * driverExt.angle;
+      }
     }
 
     Object.keys(this.spec.points[p0id]).forEach(p1id => {
       var newDist = Geom.euclid(newPos, this.positions[p1id]);
-      this.spec.points[p0id][p1id].len = newDist;
-      this.spec.points[p1id][p0id].len = newDist;
+      this._changeBarLength(newDist, p0id, p1id);
     });
 
     if (!this.calculatePositions()) {
       throw new Error('wat');
     }
+
+    if (slider && Geom.euclid(this.positions[p0id], newPos) > SLIDER_EPSILON) {
+      // the bar now reaches the rail on the other side of the dragged point
+      slider.solution = slider.solution ? 0 : 1;
+      this.calculatePositions();
+    }
   }
 
   tryMovingGroundPoints(
@@ -212,15 +766,46 @@ class Linkage {
     }
   }
 
-  tryRotatingLinkageInput(): boolean {
+  tryRotatingLinkageInput(timeStep?: number): boolean {
+    var step = timeStep || this.speed;
     var flag = true;
 
+    var gears = this.spec.gears || {};
     Object.keys(this.spec.extenders).forEach((id) => {
       var rotaryInput = this.spec.extenders[id];
-      rotaryInput.angle += rotaryInput.speed * this.speed;
+      if (gears[rotaryInput.base]) {
+        // geared rotaries are turned by their driver
+        return;
+      }
+
+      rotaryInput.angle += rotaryInput.speed * step;
       if (!this.calculatePositions()) {
-        this.reverseRotary(id.base);
-        rotaryInput.angle += rotaryInput.speed * this.speed;
+        this.lastLockup = {
+          rotID: rotaryInput.base,
+          angle: rotaryInput.angle,
+          failure: this.lastFailure,
+        };
+        this.reverseRotary(rotaryInput.base);
+        rotaryInput.angle += rotaryInput.speed * step;
+        this.calculatePositions();
+        flag = false;
+      }
+    });
+
+    var actuators = this.spec.actuators || {};
+    Object.keys(actuators).forEach(id => {
+      var oldLen = this.spec.points[actuators[id].base][id].len;
+      var oldSpeed = actuators[id].speed;
+      this._stepActuator(id, step);
+      if (!this.calculatePositions()) {
+        // like rotaries, actuators reverse instead of breaking the linkage
+        this.lastLockup = {
+          actuatorID: id,
+          len: this.spec.points[actuators[id].base][id].len,
+          failure: this.lastFailure,
+        };
+        this._setBarLength(oldLen, actuators[id].base, id);
+        actuators[id].speed = -oldSpeed;
         this.calculatePositions();
         flag = false;
       }
@@ -229,6 +814,74 @@ class Linkage {
     return flag;
   }
 
+  _stepActuator(id: string, step: number) {
+    var actuators = this.spec.actuators || {};
+    var actuator = actuators[id];
+    var len = this.spec.points[actuator.base][id].len;
+    len += this._calcActuatorRate(actuator) * step;
+
+    // bounce off the limits
+    if (len > actuator.max) {
+      len = 2 * actuator.max - len;
+      actuator.speed *= -1;
+    } else if (len < actuator.min) {
+      len = 2 * actuator.min - len;
+      actuator.speed *= -1;
+    }
+
+    this._setBarLength(len, actuator.base, id);
+  }
+
+  // length change per unit of time (the time a rotary at speed 1 takes to
+  // turn one radian). a stroke out and back covers twice the range, and
+  // should take as long as a rotary at the same speed takes to make a full
+  // rotation
+  _calcActuatorRate(actuator: Object): number {
+    return actuator.speed * (actuator.max - actuator.min) / Math.PI;
+  }
+
+  _findActuatorID(p0id: string, p1id: string): ?string {
+    var actuators = this.spec.actuators || {};
+
+    if (actuators[p1id] && actuators[p1id].base === p0id) {
+      return p1id;
+    } else if (actuators[p0id] && actuators[p0id].base === p1id) {
+      return p0id;
+    }
+    return null;
+  }
+
+  toggleActuator(p0id?: string, p1id?: string) {
+    if (!p0id || !p1id) {
+      throw new Error('p0id and p1id must be defined');
+    }
+
+    var actuators = this.spec.actuators || {};
+    var actuatorID = this._findActuatorID(p0id, p1id);
+    if (actuatorID) {
+      delete actuators[actuatorID];
+      return;
+    }
+
+    this.spec.actuators = actuators;
+
+    if (actuators[p1id]) {
+      // only one actuator can end at each point
+      [p0id, p1id] = [p1id, p0id];
+      if (actuators[p1id]) {
+        return;
+      }
+    }
+
+    var len = this.spec.points[p0id][p1id].len;
+    actuators[p1id] = {
+      base: p0id,
+      min: len * (1 - ACTUATOR_RANGE),
+      max: len * (1 + ACTUATOR_RANGE),
+      speed: 1,
+    };
+  }
+
   tryChangingBarLength(lenChange: number, p0id?: string, p1id?: string) {
     if (!p0id || !p1id) {
       throw new Error('p0id and p1id must be defined');
@@ -245,6 +898,20 @@ class Linkage {
   }
 
   _changeBarLength(len: number, p0id: string, p1id: string) {
+    var actuatorID = this._findActuatorID(p0id, p1id);
+    if (actuatorID) {
+      // move the actuator's range along with its length
+      var actuators = this.spec.actuators || {};
+      var actuator = actuators[actuatorID];
+      var lenChange = len - this.spec.points[p0id][p1id].len;
+      actuator.min += lenChange;
+      actuator.max += lenChange;
+    }
+
+    this._setBarLength(len, p0id, p1id);
+  }
+
+  _setBarLength(len: number, p0id: string, p1id: string) {
     this.spec.points[p0id][p1id].len = len;
     this.spec.points[p1id][p0id].len = len;
 
@@ -258,6 +925,126 @@ class Linkage {
     }
   }
 
+  // ids are numbered past the highest one in use, so they can't collide with
+  // existing points even when earlier ids have been removed
+  _makeIDs(count: number): Array<string> {
+    var spec = this.spec;
+    var usedIDs = Object.keys(spec.points)
+      .concat(Object.keys(spec.groundPoints))
+      .concat(Object.keys(spec.extenders))
+      .concat(Object.keys(spec.sliders || {}));
+
+    var next = 0;
+    usedIDs.forEach(id => {
+      var match = /^p(\d+)$/.exec(id);
+      if (match) {
+        next = Math.max(next, Number(match[1]) + 1);
+      }
+    });
+
+    var ids = [];
+    for (var i = 0; i < count; i++) {
+      ids.push('p' + (next + i));
+    }
+    return ids;
+  }
+
+  // adds the points of another spec (a leg, say) to this linkage. all of its
+  // points get fresh ids, except the ones in `joins`, which maps ids in the
+  // other spec to existing points they should be merged into. joined points
+  // keep their role (ground, rotary, ...) in this linkage. the other spec's
+  // ground points are moved by `offset`. returns the mapping from the other
+  // spec's ids to ids in this linkage, or null if it can't be merged: if a
+  // join is onto a point that doesn't exist, if two rotaries end up at the
+  // same point, or if the result can't be solved
+  tryMergingSpec(
+    otherSpec: LinkageSpecType,
+    joins?: {[key:string]: string},
+    offset?: Point
+  ): ?{[key:string]: string} {
+    var joinMap = joins || {};
+    var otherIDs = Object.keys(otherSpec.points)
+      .filter(id => !joinMap[id]);
+    var newIDs = this._makeIDs(otherIDs.length);
+
+    if (Object.keys(joinMap).some(id => !this.spec.points[joinMap[id]])) {
+      return null;
+    }
+
+    var idMap = {};
+    otherIDs.forEach((id, i) => {idMap[id] = newIDs[i]});
+    Object.keys(joinMap).forEach(id => {idMap[id] = joinMap[id]});
+
+    var other = remapSpec(otherSpec, idMap);
+    var newSpec = JSON.parse(JSON.stringify(this.spec));
+    var isJoined = id => !!this.spec.points[id];
+
+    Object.keys(other.points).forEach(id => {
+      newSpec.points[id] = copyInto(newSpec.points[id] || {}, other.points[id]);
+    });
+
+    Object.keys(other.groundPoints).forEach(id => {
+      if (!isJoined(id)) {
+        newSpec.groundPoints[id] = {
+          x: other.groundPoints[id].x + (offset ? offset.x : 0),
+          y: other.groundPoints[id].y + (offset ? offset.y : 0),
+        };
+      }
+    });
+
+    [
+      'extenders',
+      'sliders',
+      'actuators',
+      'gears',
+      'cams',
+      'loads',
+    ].forEach(field => {
+      var others = other[field] || {};
+      Object.keys(others).forEach(id => {
+        if (!isJoined(id)) {
+          if (!newSpec[field]) {
+            newSpec[field] = {};
+          }
+          newSpec[field][id] = others[id];
+        }
+      });
+    });
+
+    var otherRotaries = Object.keys(other.rotaries);
+    if (otherRotaries.some(id => newSpec.rotaries[id])) {
+      return null;
+    }
+    otherRotaries.forEach(id => {
+      newSpec.rotaries[id] = other.rotaries[id];
+    });
+
+    var solutionMap = newSpec.solutionMap || {};
+    var otherSolutionMap = other.solutionMap || {};
+    newSpec.solutionMap = solutionMap;
+    Object.keys(otherSolutionMap).forEach(p1id => {
+      if (!solutionMap[p1id]) {
+        solutionMap[p1id] = {};
+      }
+      Object.keys(otherSolutionMap[p1id]).forEach(p2id => {
+        solutionMap[p1id][p2id] = copyInto(
+          solutionMap[p1id][p2id] || {},
+          otherSolutionMap[p1id][p2id]
+        );
+      });
+    });
+
+    try {
+      var newPositions = this._calculatePositionsAux(newSpec);
+    } catch (e) {
+      return null;
+    }
+
+    this.positions = newPositions;
+    this.spec = newSpec;
+    return idMap;
+  }
+
   _addSegment(
     point0Id: string,
     point1Id: string,
@@ -277,10 +1064,7 @@ class Linkage {
     point1: Point,
     len: number
   ) {
-    var numPoints = Object.keys(this.spec.points).length;
-    var point0Id = 'p' + numPoints;
-    var point1Id = 'p' + (numPoints + 1);
-    var point2Id = 'p' + (numPoints + 2);
+    var [point0Id, point1Id, point2Id] = this._makeIDs(3);
 
     this.spec.extenders[point2Id] = {
       base: point1Id,
@@ -322,6 +1106,50 @@ class Linkage {
     this.spec.solutionMap[p2ID][p1ID][p3ID] = solutionIndex ? 0 : 1;
   }
 
+  // switches a point over to the other solution of its triangle (or slider),
+  // mirroring it across the bars that place it. returns false if the point
+  // has no other solution, or if the linkage can't be assembled that way
+  tryFlippingSolution(id: ?string): boolean {
+    if (!id) {
+      throw new Error('id must be defined');
+    }
+
+    var newSpec = JSON.parse(JSON.stringify(this.spec));
+    var flipped = false;
+
+    // both mirrored entries of each pair are found this way
+    var solutionMap = newSpec.solutionMap || {};
+    Object.keys(solutionMap).forEach(p1id => {
+      Object.keys(solutionMap[p1id]).forEach(p2id => {
+        var solutions = solutionMap[p1id][p2id];
+        if (typeof solutions[id] === 'number') {
+          solutions[id] = solutions[id] ? 0 : 1;
+          flipped = true;
+        }
+      });
+    });
+
+    var slider = newSpec.sliders && newSpec.sliders[id];
+    if (slider) {
+      slider.solution = slider.solution ? 0 : 1;
+      flipped = true;
+    }
+
+    if (!flipped) {
+      return false;
+    }
+
+    try {
+      var newPositions = this._calculatePositionsAux(newSpec);
+    } catch (e) {
+      return false;
+    }
+
+    this.positions = newPositions;
+    this.spec = newSpec;
+    return true;
+  }
+
   addTriangle(
     point1Id: string,
     point2Id: string,
@@ -329,8 +1157,7 @@ class Linkage {
   ) {
     var position1 = this.positions[point1Id];
     var position2 = this.positions[point2Id];
-    var numPoints = Object.keys(this.spec.points).length;
-    var point3Id = 'p' + numPoints;
+    var [point3Id] = this._makeIDs(1);
     var dist1To3 = Geom.euclid(point3, this.positions[point1Id]);
     var dist2To3 = Geom.euclid(point3, this.positions[point2Id]);
 
@@ -360,9 +1187,7 @@ class Linkage {
     auxPoint: Point,
     connectedID: string
   ) {
-    var numPoints = Object.keys(this.spec.points).length;
-    var groundID = 'p' + numPoints;
-    var auxID = 'p' + (numPoints + 1);
+    var [groundID, auxID] = this._makeIDs(2);
 
     this.spec.groundPoints[groundID] = {
       x: groundPoint.x,
@@ -397,6 +1222,189 @@ class Linkage {
     this.spec.points[connectedID][auxID] = {len: distAuxToConnected};
   }
 
+  addSlider(
+    connectedID: string,
+    railPoint: Point,
+    sliderPoint: Point
+  ) {
+    var [railID, sliderID] = this._makeIDs(2);
+
+    var sliders = this.spec.sliders || {};
+    this.spec.sliders = sliders;
+
+    this.spec.groundPoints[railID] = {
+      x: railPoint.x,
+      y: railPoint.y,
+    };
+    this.spec.points[railID] = {};
+
+    var connectedPoint = this.positions[connectedID];
+    var len = Geom.euclid(connectedPoint, sliderPoint);
+    var angle = Math.atan2(
+      sliderPoint.y - railPoint.y,
+      sliderPoint.x - railPoint.x
+    );
+
+    // like triangles, the bar can meet the rail in two places--pick the one
+    // closest to where the slider was placed
+    var res = Geom.calcPointFromSlider(connectedPoint, len, railPoint, angle);
+    var solution = 1;
+    if (Geom.euclid(res.sol1, sliderPoint) < Geom.euclid(res.sol2, sliderPoint)) {
+      solution = 0;
+    }
+
+    sliders[sliderID] = {base: railID, angle, solution};
+    this._addSegment(connectedID, sliderID, len);
+  }
+
+  _calcSliderLine(
+    slider: Object,
+    positions: {[key:string]: Point}
+  ): ?{point: Point; angle: number} {
+    var basePoint = positions[slider.base];
+    if (!basePoint) {
+      return null;
+    }
+
+    // the rail is either a fixed direction, or relative to the line between
+    // its base and ref points
+    var angle = slider.angle || 0;
+    if (slider.ref) {
+      var refPoint = positions[slider.ref];
+      if (!refPoint) {
+        return null;
+      }
+      angle += Math.atan2(refPoint.y - basePoint.y, refPoint.x - basePoint.x);
+    }
+
+    return {point: basePoint, angle};
+  }
+
+  // followers ride on their cam along a line through the cam's center, at
+  // `angle` from the line to the rotary's reference point. returns that
+  // line's direction, and how far the cam has turned
+  _calcFollowerLine(
+    cam: Object,
+    positions: {[key:string]: Point},
+    spec: LinkageSpecType
+  ): ?{angle: number; rotation: number} {
+    var extID = spec.rotaries[cam.rotary];
+    var extender = extID && spec.extenders[extID];
+    if (!extender) {
+      return null;
+    }
+
+    var center = positions[cam.rotary];
+    var crank = positions[extID];
+    var ref = positions[extender.ref];
+    if (!center || !crank || !ref) {
+      return null;
+    }
+
+    var refAngle = Math.atan2(ref.y - center.y, ref.x - center.x);
+    return {
+      angle: refAngle + cam.angle,
+      rotation: Math.atan2(crank.y - center.y, crank.x - center.x),
+    };
+  }
+
+  _calcFollowerPosition(
+    cam: Object,
+    positions: {[key:string]: Point},
+    spec: LinkageSpecType
+  ): ?Point {
+    var line = this._calcFollowerLine(cam, positions, spec);
+    if (!line) {
+      return null;
+    }
+
+    var center = positions[cam.rotary];
+    var radius = CamUtils.calcCamRadius(
+      cam.profile,
+      line.angle - line.rotation
+    );
+    return {
+      x: center.x + radius * Math.cos(line.angle),
+      y: center.y + radius * Math.sin(line.angle),
+    };
+  }
+
+  // adds a cam to a rotary, with a follower where the point is. the cam is
+  // round where the follower touches it now, with a lobe on the other side
+  addCam(rotID: string, followerPoint: Point) {
+    var [followerID] = this._makeIDs(1);
+    var center = this.positions[rotID];
+    var direction = Math.atan2(
+      followerPoint.y - center.y,
+      followerPoint.x - center.x
+    );
+    var baseRadius = Geom.euclid(center, followerPoint);
+
+    var cams = this.spec.cams || {};
+    this.spec.cams = cams;
+    var cam = {rotary: rotID, angle: 0, profile: {}};
+    var line = this._calcFollowerLine(cam, this.positions, this.spec);
+    if (!line) {
+      throw new Error('cams have to be on a rotary');
+    }
+    cam.angle = direction - line.angle;
+    cam.profile = CamUtils.makeCamProfile(
+      baseRadius,
+      baseRadius * CAM_LIFT,
+      direction - line.rotation + Math.PI,
+      CAM_SAMPLES
+    );
+
+    cams[followerID] = cam;
+    this.spec.points[followerID] = {};
+  }
+
+  getCamOutlines(): Array<Array<Point>> {
+    var cams = this.spec.cams || {};
+    var outlines = [];
+
+    Object.keys(cams).forEach(id => {
+      var line = this._calcFollowerLine(cams[id], this.positions, this.spec);
+      if (line) {
+        outlines.push(CamUtils.calcCamOutline(
+          cams[id].profile,
+          this.positions[cams[id].rotary],
+          line.rotation
+        ));
+      }
+    });
+
+    return outlines;
+  }
+
+  getSliderRails(): Array<Array<Point>> {
+    var sliders = this.spec.sliders || {};
+    var rails = [];
+
+    Object.keys(sliders).forEach(id => {
+      var line = this._calcSliderLine(sliders[id], this.positions);
+      var sliderPoint = this.positions[id];
+      if (!line || !sliderPoint) {
+        return;
+      }
+
+      // extend the rail a little past both its base and the slider
+      var ux = Math.cos(line.angle);
+      var uy = Math.sin(line.angle);
+      var t = (sliderPoint.x - line.point.x) * ux +
+        (sliderPoint.y - line.point.y) * uy;
+      var start = Math.min(0, t) - RAIL_OVERHANG;
+      var end = Math.max(0, t) + RAIL_OVERHANG;
+
+      rails.push([
+        {x: line.point.x + start * ux, y: line.point.y + start * uy},
+        {x: line.point.x + end * ux, y: line.point.y + end * uy},
+      ]);
+    });
+
+    return rails;
+  }
+
   getClosestThings(
     currentPoint: Point
   ): Object {
@@ -437,19 +1445,586 @@ class Linkage {
     return segments;
   }
 
+  // how wide a bar is, and which layer it's on in a real model. bars on
+  // different layers pass over each other
+  getBarShape(p0id: string, p1id: string): {width: number; layer: number} {
+    var bar = this.spec.points[p0id][p1id];
+    return {
+      width: typeof bar.width === 'number' ? bar.width : DEFAULT_BAR_WIDTH,
+      layer: bar.layer || 0,
+    };
+  }
+
+  setBarWidth(width: number, p0id: string, p1id: string) {
+    if (width <= 0) {
+      throw new Error('bars must have a positive width');
+    }
+    this.spec.points[p0id][p1id].width = width;
+    this.spec.points[p1id][p0id].width = width;
+  }
+
+  setBarLayer(layer: number, p0id: string, p1id: string) {
+    this.spec.points[p0id][p1id].layer = layer;
+    this.spec.points[p1id][p0id].layer = layer;
+  }
+
+  // pairs of bars on the same layer that overlap where they are now. bars
+  // that share a point are joined there, so they don't count. with
+  // `candidates`, only those pairs are checked
+  findInterferingBars(
+    candidates?: Array<Array<Array<string>>>
+  ): Array<Array<Array<string>>> {
+    var getSegment = ids => ids.map(id => this.positions[id]);
+    return (candidates || this._findBarPairs()).filter(([ids1, ids2]) => {
+      var shape1 = this.getBarShape(ids1[0], ids1[1]);
+      var shape2 = this.getBarShape(ids2[0], ids2[1]);
+      var dist = Geom.calcMinDistBetweenSegments(
+        getSegment(ids1),
+        getSegment(ids2)
+      );
+      return dist < (shape1.width + shape2.width) / 2;
+    });
+  }
+
+  // every pair of bars that could hit each other: on the same layer, and
+  // without a point in common
+  _findBarPairs(): Array<Array<Array<string>>> {
+    var {points} = this.spec;
+    var seen = {};
+    var bars = [];
+    Object.keys(points).forEach(p0id => {
+      Object.keys(points[p0id]).forEach(p1id => {
+        var key = [p0id, p1id].sort().join();
+        if (!seen[key]) {
+          seen[key] = true;
+          bars.push([p0id, p1id]);
+        }
+      });
+    });
+
+    var pairs = [];
+    bars.forEach((ids1, i) => {
+      var layer1 = this.getBarShape(ids1[0], ids1[1]).layer;
+      bars.slice(i + 1).forEach(ids2 => {
+        if (
+          layer1 === this.getBarShape(ids2[0], ids2[1]).layer &&
+          !ids1.some(id => ids2.indexOf(id) !== -1)
+        ) {
+          pairs.push([ids1, ids2]);
+        }
+      });
+    });
+    return pairs;
+  }
+
+  // every pair of bars that hit each other somewhere in the cycle that
+  // getPaths follows, with the steps (and input angles) where they do. null
+  // if the linkage locks up on the way
+  findInterference(): ?Array<InterferenceType> {
+    var {rotaries, extenders} = this.spec;
+    var candidates = this._findBarPairs();
+    var found = {};
+    var step = 0;
+
+    var success = this._runCycle(() => {
+      var inputAngles = {};
+      Object.keys(rotaries).forEach(rotID => {
+        inputAngles[rotID] = extenders[rotaries[rotID]].angle;
+      });
+
+      this.findInterferingBars(candidates).forEach(bars => {
+        var key = bars.map(ids => ids.join()).join(';');
+        if (!found[key]) {
+          found[key] = {bars, steps: []};
+        }
+        found[key].steps.push({step, inputAngles});
+      });
+      step++;
+    });
+
+    return success ? Object.keys(found).map(key => found[key]) : null;
+  }
+
+  // calculates where every point would be if the inputs kept moving at their
+  // current speeds for the given amount of time (negative to look back).
+  // actuators are only bounced off their limits if asked, and nothing is
+  // mutated. points that have to be solved numerically start from `seed`
+  // (the current positions by default)
+  calculatePositionsAtTime(
+    time: number,
+    bounceActuators?: boolean,
+    seed?: {[key:string]: Point}
+  ): ?{[key:string]: Point} {
+    var spec = this.getSpecAtTime(time, bounceActuators);
+    try {
+      return this._calculatePositionsAux(spec, seed);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // where the points are once a rotary has turned to `angle` (measured from
+  // its reference point, like its extender's angle), the first time it gets
+  // there from where it is now. null if the linkage can't be solved there
+  calculatePositionsAtInputAngle(
+    rotID: string,
+    angle: number
+  ): ?{[key:string]: Point} {
+    var extender = this.spec.extenders[this.spec.rotaries[rotID]];
+    var {speed} = extender;
+    if (!speed) {
+      return null;
+    }
+
+    var turn = Geom.wrapAngle(
+      speed > 0 ? angle - extender.angle : extender.angle - angle
+    );
+    return this.calculatePositionsAtTime(turn / Math.abs(speed), true);
+  }
+
+  // a copy of the spec with its inputs moved on by `time`, as if they never
+  // locked up or reversed. with bounceActuators, actuators still turn back
+  // at their limits, like they do when the linkage runs, and are left heading
+  // whichever way they'd be going by then
+  getSpecAtTime(time: number, bounceActuators?: boolean): LinkageSpecType {
+    var spec = JSON.parse(JSON.stringify(this.spec));
+    var actuators = spec.actuators || {};
+
+    Object.keys(spec.extenders).forEach(id => {
+      spec.extenders[id].angle += spec.extenders[id].speed * time;
+    });
+
+    Object.keys(actuators).forEach(id => {
+      var base = actuators[id].base;
+      var len = spec.points[base][id].len +
+        this._calcActuatorRate(actuators[id]) * time;
+      if (bounceActuators) {
+        var {min, max} = actuators[id];
+        if (Math.floor((len - min) / (max - min)) % 2 !== 0) {
+          actuators[id].speed *= -1;
+        }
+        len = bounceLength(len, min, max);
+      }
+      spec.points[base][id].len = len;
+      spec.points[id][base].len = len;
+
+      if (spec.extenders[id] && spec.extenders[id].base === base) {
+        spec.extenders[id].len = len;
+      } else if (spec.extenders[base] && spec.extenders[base].base === id) {
+        spec.extenders[base].len = len;
+      }
+    });
+
+    return spec;
+  }
+
+  getBarIDs(): Array<Array<string>> {
+    var bars = [];
+    var seen = {};
+
+    Object.keys(this.spec.points).forEach(p0id => {
+      seen[p0id] = true;
+      Object.keys(this.spec.points[p0id]).forEach(p1id => {
+        if (!seen[p1id]) {
+          bars.push([p0id, p1id]);
+        }
+      });
+    });
+
+    return bars;
+  }
+
+  // an external force on a point, like the ground pushing up on a foot. a
+  // null load removes it
+  setLoad(id: string, load: ?Point): void {
+    if (!this.spec.points[id]) {
+      throw new Error(`can't load ${id}, it doesn't exist`);
+    }
+
+    if (!load) {
+      if (this.spec.loads) {
+        delete this.spec.loads[id];
+      }
+      return;
+    }
+
+    if (!this.spec.loads) {
+      this.spec.loads = {};
+    }
+    this.spec.loads[id] = {x: load.x, y: load.y};
+  }
+
+  // the force along every bar (positive for tension), and the torque each
+  // rotary needs to hold the linkage still against its loads, in its current
+  // position. rotaries driven by gears pass their torque on to the rotary at
+  // the start of the gear train. returns null if the forces can't be found,
+  // like at a dead point, or if the linkage is over-constrained
+  calculateForces(): ?ForcesType {
+    var {points, extenders, groundPoints, rotaries} = this.spec;
+    var sliders = this.spec.sliders || {};
+    var cams = this.spec.cams || {};
+    var gears = this.spec.gears || {};
+    var loads = this.spec.loads || {};
+    var positions = this.positions;
+
+    // every moving point has to balance in x and y
+    var movingIDs = Object.keys(points).filter(id => !groundPoints[id]);
+    var rows = {};
+    movingIDs.forEach((id, i) => {rows[id] = 2 * i});
+
+    // each unknown force pushes on some points in fixed directions. forces on
+    // ground points are taken by the ground
+    var columns = [];
+    var addUnknown = pushes => {
+      columns.push(pushes.filter(({id}) => typeof rows[id] === 'number'));
+      return columns.length - 1;
+    };
+    var unit = (p0, p1) => {
+      var len = Geom.euclid(p0, p1);
+      return {x: (p1.x - p0.x) / len, y: (p1.y - p0.y) / len};
+    };
+
+    var bars = this.getBarIDs()
+      .filter(([p0id, p1id]) => !groundPoints[p0id] || !groundPoints[p1id])
+      .map(([p0id, p1id]) => {
+        var u = unit(positions[p0id], positions[p1id]);
+        var column = addUnknown([
+          {id: p0id, dir: u},
+          {id: p1id, dir: {x: -u.x, y: -u.y}},
+        ]);
+        return {p0id, p1id, column};
+      });
+
+    // torques on each rotary, per unit of some unknown force
+    var torqueTerms = [];
+
+    // a rotary pushes the end of its crank around, on top of the bar's own
+    // force along it
+    Object.keys(extenders).forEach(extID => {
+      var base = positions[extenders[extID].base];
+      var u = unit(base, positions[extID]);
+      torqueTerms.push({
+        rotID: extenders[extID].base,
+        column: addUnknown([{id: extID, dir: {x: -u.y, y: u.x}}]),
+        scale: Geom.euclid(base, positions[extID]),
+      });
+    });
+
+    // rails push sliders sideways. the rail's base takes the reaction, but
+    // not the twist on a rail that turns
+    Object.keys(sliders).forEach(id => {
+      var line = this._calcSliderLine(sliders[id], positions);
+      if (line) {
+        var normal = {x: -Math.sin(line.angle), y: Math.cos(line.angle)};
+        addUnknown([
+          {id, dir: normal},
+          {id: sliders[id].base, dir: {x: -normal.x, y: -normal.y}},
+        ]);
+      }
+    });
+
+    // followers are held on their line by a guide, and pushed out along it by
+    // the cam, which presses on them square to its surface
+    Object.keys(cams).forEach(id => {
+      var cam = cams[id];
+      var line = this._calcFollowerLine(cam, positions, this.spec);
+      if (!line) {
+        return;
+      }
+
+      var camAngle = line.angle - line.rotation;
+      var radius = CamUtils.calcCamRadius(cam.profile, camAngle);
+      var slope = (
+        CamUtils.calcCamRadius(cam.profile, camAngle + CAM_SLOPE_STEP) -
+        CamUtils.calcCamRadius(cam.profile, camAngle - CAM_SLOPE_STEP)
+      ) / (2 * CAM_SLOPE_STEP);
+
+      var out = {x: Math.cos(line.angle), y: Math.sin(line.angle)};
+      var across = {x: -out.y, y: out.x};
+      var normal = unit({x: 0, y: 0}, {
+        x: radius * out.x - slope * across.x,
+        y: radius * out.y - slope * across.y,
+      });
+
+      var center = positions[cam.rotary];
+      var contact = positions[id];
+      addUnknown([{id, dir: across}]);
+      torqueTerms.push({
+        rotID: cam.rotary,
+        column: addUnknown([{id, dir: normal}]),
+        scale: (contact.x - center.x) * normal.y -
+          (contact.y - center.y) * normal.x,
+      });
+    });
+
+    var numEquations = 2 * movingIDs.length;
+    if (columns.length !== numEquations) {
+      return null;
+    }
+
+    var A = [];
+    for (var i = 0; i < numEquations; i++) {
+      A.push(columns.map(() => 0));
+    }
+    columns.forEach((pushes, j) => {
+      pushes.forEach(({id, dir}) => {
+        A[rows[id]][j] += dir.x;
+        A[rows[id] + 1][j] += dir.y;
+      });
+    });
+
+    var b = [];
+    movingIDs.forEach(id => {
+      var load = loads[id] || {x: 0, y: 0};
+      b.push(-load.x, -load.y);
+    });
+
+    var unknowns = solveLinearSystem(A, b);
+    if (!unknowns) {
+      return null;
+    }
+
+    var torques = {};
+    Object.keys(rotaries).forEach(rotID => {torques[rotID] = 0});
+    torqueTerms.forEach(({rotID, column, scale}) => {
+      // follow the gear train back to the rotary that drives it
+      var id = rotID;
+      var ratio = 1;
+      while (gears[id]) {
+        ratio *= gears[id].ratio;
+        id = gears[id].driver;
+      }
+      torques[id] += ratio * scale * unknowns[column];
+    });
+
+    return {
+      bars: bars.map(({p0id, p1id, column}) => {
+        return {p0id, p1id, force: unknowns[column]};
+      }),
+      torques,
+    };
+  }
+
+  // numerically places points that are only constrained by bars, for loops
+  // where no point has two placed neighbours (like class-III assur groups).
+  // seeded from the last positions, so the linkage stays on the same branch
+  _solvePointsTogether(
+    spec: LinkageSpecType,
+    idList: Array<string>,
+    positions: {[key:string]: Point},
+    lastPositions: {[key:string]: Point}
+  ): void {
+    var {points, extenders} = spec;
+    var sliders = spec.sliders || {};
+
+    var cams = spec.cams || {};
+    var ids = idList.filter(id => !extenders[id] && !sliders[id] && !cams[id]);
+    var inGroup = {};
+    ids.forEach(id => {inGroup[id] = true});
+
+    var bars = [];
+    ids.forEach(p0id => {
+      Object.keys(points[p0id]).forEach(p1id => {
+        if (positions[p1id] || (inGroup[p1id] && p0id < p1id)) {
+          bars.push({p0id, p1id, len: points[p0id][p1id].len});
+        }
+      });
+    });
+
+    if (ids.length === 0 || bars.length < 2 * ids.length) {
+      // not enough bars to pin the points down
+      return;
+    }
+
+    var knownIDs = Object.keys(positions);
+    var seeds = {};
+    ids.forEach((id, i) => {
+      if (lastPositions[id]) {
+        seeds[id] = lastPositions[id];
+        return;
+      }
+
+      // without a previous position, start near the placed neighbours (or
+      // the rest of the linkage), nudged apart so points don't coincide
+      var neighbours = Object.keys(points[id]).filter(adj => positions[adj]);
+      var around = neighbours.length > 0 ? neighbours : knownIDs;
+      var center = around.reduce((sum, adj) => ({
+        x: sum.x + positions[adj].x / around.length,
+        y: sum.y + positions[adj].y / around.length,
+      }), {x: 0, y: 0});
+      seeds[id] = {
+        x: center.x + Math.cos(i + 1),
+        y: center.y + Math.sin(i + 1),
+      };
+    });
+
+    var res = solveBarConstraints(ids, bars, positions, seeds);
+    if (!res) {
+      throw makeSolveError('bars cannot be solved together', {
+        type: 'numeric',
+        ids,
+        bars: bars.map(({p0id, p1id}) => [p0id, p1id]),
+      });
+    }
+
+    // a loop rather than a callback, so res is still known not to be null
+    for (var j = 0; j < ids.length; j++) {
+      positions[ids[j]] = res[ids[j]];
+    }
+  }
+
   calculatePositions(): boolean {
     try {
       var positions = this._calculatePositionsAux(this.spec);
     } catch (e) {
+      this.lastFailure = e.failure || null;
       return false;
     }
 
     this.positions = positions;
+    this.lastFailure = null;
     return true;
   }
 
-  _calculatePositionsAux(spec: LinkageSpecType): {[key:string]: Point} {
+  _tryInputAngle(
+    spec: LinkageSpecType,
+    input: InputMapType,
+    angle: number
+  ): ?Object {
+    spec.extenders[input.extID].angle = (angle - input.offset) / input.scale;
+    try {
+      this._calculatePositionsAux(spec);
+    } catch (e) {
+      return e.failure || {type: 'unknown'};
+    }
+    return null;
+  }
+
+  // narrows down the angle between a solvable and an unsolvable one
+  _findDeadPoint(
+    spec: LinkageSpecType,
+    input: InputMapType,
+    goodAngle: number,
+    badAngle: number
+  ): {angle: number; failure: ?Object} {
+    var failure = this._tryInputAngle(spec, input, badAngle);
+    for (var i = 0; i < DEAD_POINT_ITERATIONS; i++) {
+      var angle = (goodAngle + badAngle) / 2;
+      var res = this._tryInputAngle(spec, input, angle);
+      if (res) {
+        badAngle = angle;
+        failure = res;
+      } else {
+        goodAngle = angle;
+      }
+    }
+    return {angle: goodAngle, failure};
+  }
+
+  // the inputs that getInputRange keeps where they are while it sweeps a
+  // rotary: the angles of the rotaries not geared to it, and the lengths of
+  // the actuators
+  getHeldInputs(rotID: string): {[key:string]: number} {
+    var {rotaries, extenders} = this.spec;
+    var actuators = this.spec.actuators || {};
+    var rootID = this._findGearRoot(rotID);
+    var held = {};
+
+    Object.keys(rotaries).forEach(id => {
+      if (this._findGearRoot(id) !== rootID) {
+        held[rotaries[id]] = extenders[rotaries[id]].angle;
+      }
+    });
+    Object.keys(actuators).forEach(id => {
+      held[id] = this.spec.points[actuators[id].base][id].len;
+    });
+    return held;
+  }
+
+  // sweeps a rotary through a full rotation (keeping every other input where
+  // it is, except for the ones geared to it) to find the ranges of angles
+  // where the linkage can be assembled, and the dead points where it locks
+  // up. angles are extender angles, starting from the rotary's current one
+  getInputRange(rotID: ?string): InputRangeType {
+    if (!rotID || !this.spec.rotaries[rotID]) {
+      throw new Error('rotID must be the id of a rotary');
+    }
+
+    var extID = this.spec.rotaries[rotID];
+    var spec = JSON.parse(JSON.stringify(this.spec));
+    var startAngle = spec.extenders[extID].angle;
+    var step = 2 * Math.PI / INPUT_RANGE_SAMPLES;
+
+    // a geared rotary's angle is set from its driver's, so turn the rotary
+    // driving all of them instead
+    var input = {extID, offset: 0, scale: 1};
+    var rootID = this._findGearRoot(rotID);
+    if (rootID !== rotID) {
+      var rootExtID = spec.rotaries[rootID];
+      spec.extenders[rootExtID].angle = 0;
+      this._applyGears(spec);
+      var offset = spec.extenders[extID].angle;
+      spec.extenders[rootExtID].angle = 1;
+      this._applyGears(spec);
+      input = {
+        extID: rootExtID,
+        offset,
+        scale: spec.extenders[extID].angle - offset,
+      };
+    }
+
+    var failures = [];
+    var firstFailure = -1;
+    for (var i = 0; i < INPUT_RANGE_SAMPLES; i++) {
+      failures.push(this._tryInputAngle(spec, input, startAngle + i * step));
+      if (failures[i] && firstFailure === -1) {
+        firstFailure = i;
+      }
+    }
+
+    if (firstFailure === -1) {
+      return {
+        fullRotation: true,
+        ranges: [{start: startAngle, end: startAngle + 2 * Math.PI}],
+        deadPoints: [],
+      };
+    }
+
+    // walk around from a failing sample, so no range wraps past the end
+    var ranges = [];
+    var deadPoints = [];
+    var rangeStart = startAngle;
+    for (var j = 1; j <= INPUT_RANGE_SAMPLES; j++) {
+      var index = firstFailure + j;
+      var prevAngle = startAngle + (index - 1) * step;
+      var angle = startAngle + index * step;
+      var prevFailed = !!failures[(index - 1) % INPUT_RANGE_SAMPLES];
+      var failed = !!failures[index % INPUT_RANGE_SAMPLES];
+
+      if (prevFailed && !failed) {
+        var startPoint = this._findDeadPoint(spec, input, angle, prevAngle);
+        deadPoints.push(startPoint);
+        rangeStart = startPoint.angle;
+      } else if (!prevFailed && failed) {
+        var endPoint = this._findDeadPoint(spec, input, prevAngle, angle);
+        deadPoints.push(endPoint);
+        ranges.push({start: rangeStart, end: endPoint.angle});
+      }
+    }
+
+    return {fullRotation: false, ranges, deadPoints};
+  }
+
+  _calculatePositionsAux(
+    spec: LinkageSpecType,
+    seed?: {[key:string]: Point}
+  ): {[key:string]: Point} {
+    this._applyGears(spec);
+    var lastPositions = seed || this.positions;
+
     var {points, extenders, groundPoints} = spec;
+    var sliders = spec.sliders || {};
+    var cams = spec.cams || {};
     var positions = {};
 
     var idList = Object.keys(points);
@@ -471,28 +2046,81 @@ class Linkage {
             extenders[id].len,
             extenders[id].angle
           );
+        } else if (cams[id]) {
+          var follower = this._calcFollowerPosition(cams[id], positions, spec);
+          if (follower) {
+            positions[id] = follower;
+          }
+        } else if (sliders[id]) {
+          var line = this._calcSliderLine(sliders[id], positions);
+          var knownBars = Object.keys(points[id]).filter(
+            adj => positions[adj]
+          );
+
+          if (line && knownBars.length >= 1) {
+            try {
+              positions[id] = Geom.calcPointFromSlider(
+                positions[knownBars[0]],
+                points[id][knownBars[0]].len,
+                line.point,
+                line.angle
+              )['sol' + (sliders[id].solution + 1)];
+            } catch (e) {
+              throw makeSolveError('slider cannot be solved', {
+                type: 'slider',
+                id,
+                bars: [[id, knownBars[0]]],
+              });
+            }
+          }
         } else {
           var knownAdjacents = Object.keys(points[id]).filter(
             adj => positions[adj]
           );
 
           if (knownAdjacents.length >= 2) {
-            var solutionIndex = spec.solutionMap[knownAdjacents[0]][knownAdjacents[1]][id];
-            positions[id] = Geom.calcPointFromTriangle(
-              positions[knownAdjacents[0]],
-              positions[knownAdjacents[1]],
-              points[id][knownAdjacents[0]].len,
-              points[id][knownAdjacents[1]].len
-            )['sol' + (solutionIndex + 1)];
+            var [adj0, adj1] = knownAdjacents;
+            var solutionIndex = spec.solutionMap[adj0][adj1][id];
+            var len0 = points[id][adj0].len;
+            var len1 = points[id][adj1].len;
+
+            try {
+              positions[id] = Geom.calcPointFromTriangle(
+                positions[adj0],
+                positions[adj1],
+                len0,
+                len1
+              )['sol' + (solutionIndex + 1)];
+            } catch (e) {
+              // the two bars either can't reach far enough (they'd have to be
+              // straightened out past a line) or can't fold up tight enough
+              var dist = Geom.euclid(positions[adj0], positions[adj1]);
+              throw makeSolveError('triangle cannot be solved', {
+                type: 'triangle',
+                id,
+                bars: [[id, adj0], [id, adj1]],
+                straight: dist >= len0 + len1 ? 'extended' : 'folded',
+              });
+            }
           }
         }
 
         return !positions[id];
       });
+
+      if (idList.length > 0 && idList.length === oldLength) {
+        // none of the remaining points can be placed one at a time, so try
+        // placing them all at once
+        this._solvePointsTogether(spec, idList, positions, lastPositions);
+        idList = idList.filter(id => !positions[id]);
+      }
     } while (idList.length > 0 && idList.length < oldLength);
 
     if (idList.length > 0) {
-      throw new Error('failed to compute all points');
+      throw makeSolveError('failed to compute all points', {
+        type: 'unsolved',
+        ids: idList,
+      });
     }
 
     return positions;
@@ -0,0 +1,64 @@
+jest.dontMock('../math/CamUtils');
+jest.dontMock('../math/GeometryUtils');
+var CamUtils = require('../math/CamUtils');
+
+var squareProfile = {
+  angles: [0, Math.PI / 2, Math.PI, 3 * Math.PI / 2],
+  radii: [1, 2, 1, 2],
+};
+
+describe('calcCamRadius', function () {
+  it('interpolates linearly between the table entries', function () {
+    expect(CamUtils.calcCamRadius(squareProfile, 0)).toBeCloseTo(1, 10);
+    expect(CamUtils.calcCamRadius(squareProfile, Math.PI / 4))
+      .toBeCloseTo(1.5, 10);
+    expect(CamUtils.calcCamRadius(squareProfile, 7 * Math.PI / 4))
+      .toBeCloseTo(1.5, 10);
+    expect(CamUtils.calcCamRadius(squareProfile, -Math.PI / 2))
+      .toBeCloseTo(2, 10);
+  });
+
+  it('passes through the table entries with a spline', function () {
+    var profile = {angles: squareProfile.angles, radii: [1, 2, 3, 2]};
+    var splined = {angles: profile.angles, radii: profile.radii, spline: true};
+    profile.angles.forEach((angle, i) => {
+      expect(CamUtils.calcCamRadius(splined, angle))
+        .toBeCloseTo(profile.radii[i], 10);
+    });
+
+    // the spline is symmetric here, like the table
+    expect(CamUtils.calcCamRadius(splined, Math.PI / 3))
+      .toBeCloseTo(CamUtils.calcCamRadius(splined, -Math.PI / 3), 10);
+  });
+});
+
+describe('makeCamProfile', function () {
+  it('rises to the lift at the lobe angle', function () {
+    var profile = CamUtils.makeCamProfile(2, 1, Math.PI, 12);
+    expect(profile.angles.length).toBe(12);
+    expect(CamUtils.calcCamRadius(profile, Math.PI)).toBeCloseTo(3, 10);
+    expect(CamUtils.calcCamRadius(profile, 0)).toBeCloseTo(2, 10);
+  });
+
+  it('reaches the whole lift between the usual samples', function () {
+    var profile = CamUtils.makeCamProfile(2, 1, 1, 12);
+    expect(CamUtils.calcCamRadius(profile, 1)).toBeCloseTo(3, 10);
+    expect(CamUtils.calcCamRadius(profile, 1 + Math.PI)).toBeCloseTo(2, 10);
+    profile.angles.forEach((angle, i) => {
+      expect(angle).not.toBeLessThan(0);
+      expect(angle).toBeLessThan(2 * Math.PI);
+      if (i > 0) {
+        expect(angle).toBeGreaterThan(profile.angles[i - 1]);
+      }
+    });
+  });
+});
+
+describe('calcCamOutline', function () {
+  it('turns the profile around the center', function () {
+    var profile = CamUtils.makeCamProfile(2, 1, 0, 12);
+    var outline = CamUtils.calcCamOutline(profile, {x: 1, y: 1}, Math.PI / 2);
+    expect(outline[0].x).toBeCloseTo(1, 10);
+    expect(outline[0].y).toBeCloseTo(4, 10);
+  });
+});
@@ -0,0 +1,93 @@
+jest.autoMockOff();
+
+// a straight line from (0, -5) to (0, 5), and a half circle back around (0, 0)
+function makeDShape() {
+  var path = [];
+  for (var i = 0; i < 40; i++) {
+    path.push({x: 0, y: -5 + 10 * i / 40});
+  }
+  for (i = 0; i < 60; i++) {
+    var angle = Math.PI / 2 - Math.PI * i / 60;
+    path.push({x: 5 * Math.cos(angle), y: 5 * Math.sin(angle)});
+  }
+  return path;
+}
+
+function makeCurve(numPoints, calcPoint) {
+  var path = [];
+  for (var i = 0; i < numPoints; i++) {
+    path.push(calcPoint(2 * Math.PI * i / numPoints));
+  }
+  return path;
+}
+
+describe('analyzeCurve', function() {
+  it('finds straight lines and arcs', function() {
+    var {analyzeCurve} = require('../analysis/CurveAnalysis');
+    var res = analyzeCurve(makeDShape());
+
+    expect(res.straights.length).toBe(1);
+    expect(res.straights[0].start.x).toBeCloseTo(0, 10);
+    expect(Math.abs(res.straights[0].end.y - res.straights[0].start.y))
+      .toBeGreaterThan(9.9);
+
+    expect(res.arcs.length).toBe(1);
+    expect(res.arcs[0].radius).toBeCloseTo(5, 2);
+    expect(res.arcs[0].center.x).toBeCloseTo(0, 2);
+    expect(res.arcs[0].center.y).toBeCloseTo(0, 2);
+
+    expect(res.area).toBeCloseTo(Math.PI * 25 / 2, 0.1);
+    expect(res.cusps).toEqual([]);
+    expect(res.crossings).toEqual([]);
+  });
+
+  it('finds the axis a curve is mirrored about', function() {
+    var {findSymmetryAxis} = require('../analysis/CurveAnalysis');
+
+    // the D shape turned to face up
+    var path = makeDShape().map(({x, y}) => ({x: -y + 1, y: x + 2}));
+    var axis = findSymmetryAxis(path);
+    expect(Math.abs(Math.cos(axis.angle))).toBeCloseTo(0, 3);
+    expect(axis.point.x).toBeCloseTo(1, 2);
+    expect(axis.error).toBeLessThan(0.01);
+  });
+
+  it('measures how much a curve bends', function() {
+    var {calcCurvature} = require('../analysis/CurveAnalysis');
+    var circle = makeCurve(
+      100,
+      t => ({x: 2 * Math.cos(t), y: 2 * Math.sin(t)})
+    );
+
+    calcCurvature(circle).forEach(k => expect(k).toBeCloseTo(0.5, 2));
+  });
+
+  it('finds cusps', function() {
+    var {findCusps} = require('../analysis/CurveAnalysis');
+    // a deltoid, which comes to a point three times
+    var path = makeCurve(120, t => ({
+      x: 2 * Math.cos(t) + Math.cos(2 * t),
+      y: 2 * Math.sin(t) - Math.sin(2 * t),
+    }));
+
+    var cusps = findCusps(path);
+    expect(cusps.length).toBe(3);
+    cusps.forEach(cusp => {
+      expect(Math.sqrt(cusp.x * cusp.x + cusp.y * cusp.y))
+        .toBeCloseTo(3, 2);
+    });
+  });
+
+  it('finds where a curve crosses itself', function() {
+    var {findCrossings} = require('../analysis/CurveAnalysis');
+    var eight = makeCurve(
+      100,
+      t => ({x: Math.sin(t), y: Math.sin(2 * t) / 2})
+    );
+
+    var crossings = findCrossings(eight);
+    expect(crossings.length).toBe(1);
+    expect(crossings[0].x).toBeCloseTo(0, 10);
+    expect(crossings[0].y).toBeCloseTo(0, 10);
+  });
+});
@@ -0,0 +1,101 @@
+jest.autoMockOff();
+
+var linkageData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 5}},
+    p2: {p1: {len: 5}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0.9272952180016122, len: 5, speed: 1},
+  },
+  rotaries: {p1: 'p2'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+  },
+  solutionMap: {
+    p0: {p2: {p1: 0}},
+    p2: {p0: {p1: 1}},
+  },
+};
+
+function makeLinkage() {
+  var Linkage = require('../Linkage');
+  var linkage = new Linkage(JSON.parse(JSON.stringify(linkageData)));
+  linkage.calculatePositions();
+  return linkage;
+}
+
+describe('EditHistory', function() {
+  it('keeps one history per linkage', function() {
+    var EditHistory = require('../ui/EditHistory');
+    var linkage = makeLinkage();
+
+    expect(EditHistory.forLinkage(linkage)).toBe(EditHistory.forLinkage(linkage));
+    expect(EditHistory.forLinkage(makeLinkage()))
+      .not.toBe(EditHistory.forLinkage(linkage));
+  });
+
+  it('undoes and redoes edits', function() {
+    var EditHistory = require('../ui/EditHistory');
+    var linkage = makeLinkage();
+    var history = EditHistory.forLinkage(linkage);
+
+    history.record(linkage, 'change bar length', () => {
+      linkage.tryChangingBarLength(1, 'p1', 'p2');
+    });
+    expect(linkage.spec.points.p1.p2.len).toBe(6);
+
+    expect(history.undo(linkage)).toBe('change bar length');
+    expect(linkage.spec.points.p1.p2.len).toBe(5);
+    expect(linkage.positions.p2.x).toBeCloseTo(3, 10);
+    expect(linkage.positions.p2.y).toBeCloseTo(4, 10);
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.redo(linkage)).toBe('change bar length');
+    expect(linkage.spec.points.p1.p2.len).toBe(6);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('groups everything between begin and end', function() {
+    var EditHistory = require('../ui/EditHistory');
+    var linkage = makeLinkage();
+    var history = EditHistory.forLinkage(linkage);
+
+    history.begin(linkage, 'move ground point');
+    linkage.tryMovingGroundPoints([{point: {x: 1, y: 1}, id: 'p1'}]);
+    linkage.tryMovingGroundPoints([{point: {x: 2, y: 2}, id: 'p1'}]);
+    history.end(linkage);
+
+    history.undo(linkage);
+    expect(linkage.spec.groundPoints.p1).toEqual({x: 0, y: 0});
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('ignores edits that change nothing', function() {
+    var EditHistory = require('../ui/EditHistory');
+    var linkage = makeLinkage();
+    var history = EditHistory.forLinkage(linkage);
+
+    history.record(linkage, 'flip', () => linkage.tryFlippingSolution('p0'));
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('forgets undone edits after a new one', function() {
+    var EditHistory = require('../ui/EditHistory');
+    var linkage = makeLinkage();
+    var history = EditHistory.forLinkage(linkage);
+
+    history.record(linkage, 'first', () => {
+      linkage.tryChangingBarLength(1, 'p1', 'p2');
+    });
+    history.undo(linkage);
+    history.record(linkage, 'second', () => {
+      linkage.tryChangingBarLength(-1, 'p1', 'p2');
+    });
+
+    expect(history.canRedo()).toBe(false);
+    expect(linkage.spec.points.p1.p2.len).toBe(4);
+  });
+});
@@ -0,0 +1,65 @@
+jest.autoMockOff();
+
+var {copy, fourBarData} = require('./fixtures');
+
+describe('classifyGrashof', function() {
+  it('classifies four-bars by their shortest link', function() {
+    var {classifyGrashof} = require('../analysis/FourBarAnalysis');
+
+    expect(classifyGrashof(16, 5, 15, 10)).toEqual(
+      {grashof: true, type: 'crank-rocker'}
+    );
+    expect(classifyGrashof(5, 16, 15, 10)).toEqual(
+      {grashof: true, type: 'double-crank'}
+    );
+    expect(classifyGrashof(16, 10, 5, 15)).toEqual(
+      {grashof: true, type: 'double-rocker'}
+    );
+    expect(classifyGrashof(16, 10, 15, 5)).toEqual(
+      {grashof: true, type: 'rocker-crank'}
+    );
+    expect(classifyGrashof(10, 10, 10, 10)).toEqual(
+      {grashof: true, type: 'change-point'}
+    );
+    expect(classifyGrashof(12, 5, 5, 5)).toEqual(
+      {grashof: false, type: 'triple-rocker'}
+    );
+  });
+});
+
+describe('findFourBars', function() {
+  it('finds loops between two ground points', function() {
+    var {findFourBars} = require('../analysis/FourBarAnalysis');
+
+    expect(findFourBars(fourBarData)).toEqual([['p1', 'p2', 'p4', 'p3']]);
+  });
+
+  it('does not count the rotary reference as a loop', function() {
+    var {findFourBars} = require('../analysis/FourBarAnalysis');
+
+    expect(findFourBars(require('../linkageData'))).toEqual([]);
+  });
+});
+
+describe('analyzeFourBars', function() {
+  it('finds the range of the transmission angle over a cycle', function() {
+    var Linkage = require('../Linkage');
+    var {analyzeFourBars} = require('../analysis/FourBarAnalysis');
+
+    var linkage = new Linkage(copy(fourBarData));
+    linkage.calculatePositions();
+    var res = analyzeFourBars(linkage);
+
+    expect(res.length).toBe(1);
+    expect(res[0].type).toBe('crank-rocker');
+    expect(res[0].lengths.ground).toBe(16);
+
+    // the coupler end of the crank is between 11 and 21 from the rocker pivot
+    var min = Math.acos((15 * 15 + 10 * 10 - 11 * 11) / (2 * 15 * 10));
+    var max = Math.acos((15 * 15 + 10 * 10 - 21 * 21) / (2 * 15 * 10));
+    expect(res[0].minTransmissionAngle).toBeCloseTo(min, 2);
+    expect(res[0].maxTransmissionAngle).toBeCloseTo(max, 2);
+    expect(res[0].transmissionAngle > min).toBe(true);
+    expect(res[0].transmissionAngle < max).toBe(true);
+  });
+});
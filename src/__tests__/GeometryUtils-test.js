@@ -77,3 +77,68 @@ describe('calcSumOfMins', function() {
     }
   );
 });
+
+describe('calcPointFromSlider', function() {
+  it('calculates where a bar meets a line', function() {
+    var calcPointFromSlider = require('../math/GeometryUtils').calcPointFromSlider;
+
+    var res = calcPointFromSlider({x:0, y:3}, 5, {x:-10, y:0}, 0);
+    expect(res.sol1.x).toBeCloseTo(4, 10);
+    expect(res.sol1.y).toBeCloseTo(0, 10);
+    expect(res.sol2.x).toBeCloseTo(-4, 10);
+    expect(res.sol2.y).toBeCloseTo(0, 10);
+  });
+
+  it('throws if the bar cannot reach the line', function() {
+    var calcPointFromSlider = require('../math/GeometryUtils').calcPointFromSlider;
+
+    expect(() => calcPointFromSlider({x:0, y:3}, 2, {x:0, y:0}, 0)).toThrow();
+  });
+});
+
+describe('calcMinDistBetweenSegments', function() {
+  it('is zero for segments that cross', function() {
+    var Geom = require('../math/GeometryUtils');
+    var dist = Geom.calcMinDistBetweenSegments(
+      [{x: 0, y: 0}, {x: 2, y: 2}],
+      [{x: 0, y: 2}, {x: 2, y: 0}]
+    );
+    expect(dist).toBe(0);
+  });
+
+  it('finds the gap between segments that do not cross', function() {
+    var Geom = require('../math/GeometryUtils');
+    var dist = Geom.calcMinDistBetweenSegments(
+      [{x: 0, y: 0}, {x: 4, y: 0}],
+      [{x: 2, y: 1}, {x: 2, y: 3}]
+    );
+    expect(dist).toBeCloseTo(1, 10);
+
+    var parallel = Geom.calcMinDistBetweenSegments(
+      [{x: 0, y: 0}, {x: 4, y: 0}],
+      [{x: 1, y: -2}, {x: 3, y: -2}]
+    );
+    expect(parallel).toBeCloseTo(2, 10);
+  });
+});
+
+describe('wrapAngle', function() {
+  it('wraps angles to within one turn', function() {
+    var Geom = require('../math/GeometryUtils');
+    expect(Geom.wrapAngle(1)).toBe(1);
+    expect(Geom.wrapAngle(2 * Math.PI + 1)).toBeCloseTo(1, 10);
+    expect(Geom.wrapAngle(-1)).toBeCloseTo(2 * Math.PI - 1, 10);
+    expect(Geom.wrapAngle(-2 * Math.PI)).toBe(0);
+  });
+});
+
+describe('angleDiff', function() {
+  it('wraps the difference to within half a turn', function() {
+    var Geom = require('../math/GeometryUtils');
+    expect(Geom.angleDiff(.5, .25)).toBeCloseTo(.25, 10);
+    expect(Geom.angleDiff(.25, 2 * Math.PI - .25)).toBeCloseTo(.5, 10);
+    expect(Geom.angleDiff(2 * Math.PI - .25, .25)).toBeCloseTo(-.5, 10);
+    expect(Geom.angleDiff(Math.PI, 0)).toBeCloseTo(Math.PI, 10);
+    expect(Geom.angleDiff(-Math.PI, 0)).toBeCloseTo(Math.PI, 10);
+  });
+});
@@ -1,5 +1,41 @@
 jest.autoMockOff();
 
+var {copy, fourBarData} = require('./fixtures');
+
+function makeOptObj(constraints) {
+  var LinkageOptObj = require('../optimize/LinkageOptObj');
+  return new LinkageOptObj(Object.assign({
+    path: [{x: 10, y: 5}],
+    linkageSpec: copy(fourBarData),
+    id: 'p4',
+  }, constraints));
+}
+
+// the same linkage, with every length multiplied by `scale`
+function scaleSpec(spec, scale) {
+  var scaled = copy(spec);
+  Object.keys(scaled.points).forEach(p0id => {
+    Object.keys(scaled.points[p0id]).forEach(p1id => {
+      scaled.points[p0id][p1id].len *= scale;
+    });
+  });
+  Object.keys(scaled.extenders).forEach(id => {
+    scaled.extenders[id].len *= scale;
+  });
+  Object.keys(scaled.groundPoints).forEach(id => {
+    scaled.groundPoints[id].x *= scale;
+    scaled.groundPoints[id].y *= scale;
+  });
+  return scaled;
+}
+
+// tweaks every feature of a copy of the thing, like optimizeStep does
+function tweak(optObj) {
+  var next = optObj.copy();
+  next.getFeatures().forEach(feature => feature());
+  return next;
+}
+
 describe('LinkageOptObj', function() {
   it('will incrementally optimize', function() {
     var LinkageOptObj = require('../optimize/LinkageOptObj');
@@ -27,4 +63,208 @@ describe('LinkageOptObj', function() {
     //console.log('delta: ' + delta);
     expect(delta).toBeLessThan(.5);
   });
+
+  it('grows in proportion to how far the path is from its target', function() {
+    var perfs = [1, 2, 4].map(scale => makeOptObj({
+      linkageSpec: scaleSpec(fourBarData, scale),
+      path: [{x: 0, y: 0}],
+    }).calcPerfCached());
+
+    // every distance to the origin doubles each time, but nothing else does
+    expect(Math.abs(perfs[1] / perfs[0] - 2)).toBeLessThan(1e-6);
+    expect(Math.abs(perfs[2] / perfs[0] - 4)).toBeLessThan(1e-6);
+  });
+
+  it('leaves locked points where they are', function() {
+    var optObj = makeOptObj({lockedPoints: ['p3']});
+    // p1, p2 and p4
+    expect(optObj.getFeatures().length).toBe(3);
+    expect(optObj.getParams().length).toBe(6);
+
+    for (var i = 0; i < 20; i++) {
+      optObj = tweak(optObj);
+      expect(optObj.linkage.spec.groundPoints.p3).toEqual({x: 16, y: 0});
+    }
+  });
+
+  it('keeps locked bars the same length', function() {
+    var optObj = makeOptObj({lockedBars: [['p2', 'p4'], ['p1', 'p2']]});
+    // p2 is held in place by its locked bars
+    expect(optObj.getFeatures().length).toBe(3);
+
+    for (var i = 0; i < 20; i++) {
+      optObj = tweak(optObj);
+      var {points, extenders} = optObj.linkage.spec;
+      expect(points.p2.p4.len).toBeCloseTo(15, 10);
+      expect(points.p1.p2.len).toBeCloseTo(5, 10);
+      expect(extenders.p2.len).toBeCloseTo(5, 10);
+    }
+
+    var params = optObj.getParams().map(param => param + .3);
+    var moved = optObj.withParams(params);
+    expect(moved.linkage.spec.points.p2.p4.len).toBeCloseTo(15, 10);
+  });
+
+  it('keeps points inside their bounds', function() {
+    var bounds = {p3: {minX: 15.9, maxX: 16.1, minY: -.1, maxY: .1}};
+    var optObj = makeOptObj({bounds});
+
+    for (var i = 0; i < 20; i++) {
+      optObj = tweak(optObj);
+      var {x, y} = optObj.linkage.spec.groundPoints.p3;
+      expect(Math.abs(x - 16)).not.toBeGreaterThan(.1 + 1e-10);
+      expect(Math.abs(y)).not.toBeGreaterThan(.1 + 1e-10);
+    }
+
+    var params = optObj.getParams();
+    // p1 comes first, then p3
+    params[2] = 20;
+    expect(optObj.withParams(params).linkage.spec.groundPoints.p3.x)
+      .toBeCloseTo(16.1, 10);
+  });
+
+  it('moves rotaries only as far as their reference points can go', function() {
+    // p3, p2 and p4
+    var locked = makeOptObj({lockedPoints: ['p0']});
+    expect(locked.getFeatures().length).toBe(3);
+
+    var bounds = {p0: {minX: .9, maxX: 1.1, minY: -.1, maxY: .1}};
+    var optObj = makeOptObj({bounds});
+    for (var i = 0; i < 20; i++) {
+      locked = tweak(locked);
+      optObj = tweak(optObj);
+      expect(locked.linkage.spec.groundPoints.p0).toEqual({x: 1, y: 0});
+      expect(locked.linkage.spec.groundPoints.p1).toEqual({x: 0, y: 0});
+
+      var {p0, p1} = optObj.linkage.spec.groundPoints;
+      expect(Math.abs(p0.x - 1)).not.toBeGreaterThan(.1 + 1e-10);
+      expect(Math.abs(p0.y)).not.toBeGreaterThan(.1 + 1e-10);
+      expect(p0.x - p1.x).toBeCloseTo(1, 10);
+      expect(p0.y - p1.y).toBeCloseTo(0, 10);
+    }
+
+    var params = optObj.getParams();
+    // p1 comes first
+    params[0] += 5;
+    var moved = optObj.withParams(params).linkage.spec.groundPoints;
+    expect(moved.p0.x).toBeCloseTo(1.1, 10);
+    expect(moved.p0.x - moved.p1.x).toBeCloseTo(1, 10);
+  });
+
+  it('is only valid inside its bounding box', function() {
+    expect(makeOptObj({
+      boundingBox: {minX: -10, maxX: 30, minY: -10, maxY: 20},
+    }).isValid()).toBe(true);
+
+    // the end of the crank goes below the ground
+    var optObj = makeOptObj({boundingBox: {minY: -1}});
+    expect(optObj.isValid()).toBe(false);
+  });
+
+  it('adds penalties for bad transmission angles and long bars', function() {
+    var perf = makeOptObj().calcPerfCached();
+
+    // the bars are 5, 10 and 15 long
+    var ratioPerf = makeOptObj({
+      barLengthRatioPenalty: {max: 2, weight: 10},
+    }).calcPerfCached();
+    expect(ratioPerf - perf).toBeCloseTo(10, 10);
+    expect(makeOptObj({
+      barLengthRatioPenalty: {max: 3, weight: 10},
+    }).calcPerfCached()).toBeCloseTo(perf, 10);
+
+    var {analyzeFourBars} = require('../analysis/FourBarAnalysis');
+    var [fourBar] = analyzeFourBars(makeOptObj().linkage);
+    var worst = Math.min(
+      fourBar.minTransmissionAngle,
+      Math.PI - fourBar.maxTransmissionAngle
+    );
+    var anglePerf = makeOptObj({
+      transmissionAnglePenalty: {min: Math.PI / 2, weight: 2},
+    }).calcPerfCached();
+    expect(anglePerf - perf).toBeCloseTo(2 * (Math.PI / 2 - worst), 10);
+    expect(makeOptObj({
+      transmissionAnglePenalty: {min: worst / 2, weight: 2},
+    }).calcPerfCached()).toBeCloseTo(perf, 10);
+  });
+
+  it('adds up weighted targets for several points', function() {
+    var path2 = [{x: 0, y: 5}, {x: 5, y: 0}];
+    var path4 = [{x: 10, y: 5}];
+    var perf2 = makeOptObj({id: 'p2', path: path2}).calcPerfCached();
+    var perf4 = makeOptObj({id: 'p4', path: path4}).calcPerfCached();
+
+    var optObj = makeOptObj({
+      targets: [
+        {id: 'p2', path: path2, weight: 2},
+        {id: 'p4', path: path4, weight: .5, metric: 'position'},
+      ],
+    });
+    expect(optObj.calcPerfCached()).toBeCloseTo(2 * perf2 + .5 * perf4, 10);
+    // p1, p3, p2 and p4
+    expect(optObj.getFeatures().length).toBe(4);
+
+    // and the sum still grows in proportion to the distances
+    var double = path => path.map(({x, y}) => ({x: 2 * x, y: 2 * y}));
+    var doubled = makeOptObj({
+      linkageSpec: scaleSpec(fourBarData, 2),
+      targets: [
+        {id: 'p2', path: double(path2), weight: 2},
+        {id: 'p4', path: double(path4), weight: .5, metric: 'position'},
+      ],
+    });
+    var ratio = doubled.calcPerfCached() / optObj.calcPerfCached();
+    expect(Math.abs(ratio - 2)).toBeLessThan(1e-6);
+  });
+
+  it('can follow the shape of a path instead of where it is', function() {
+    var CurveOptObj = require('../optimize/CurveOptObj');
+    var path = [{x: 0, y: 5}, {x: 5, y: 0}, {x: 0, y: -5}, {x: -5, y: 0}];
+    var curvePerf = new CurveOptObj({
+      path,
+      linkageSpec: copy(fourBarData),
+      id: 'p2',
+    }).calcPerfCached();
+
+    var shapePerf = makeOptObj({
+      targets: [{id: 'p2', path, metric: 'shape'}],
+    }).calcPerfCached();
+    expect(shapePerf).toBeCloseTo(curvePerf, 10);
+  });
+
+  it('times precision points by the rotary\'s angle', function() {
+    var LinkageOptObj = require('../optimize/LinkageOptObj');
+    var makePrecisionOptObj = precisionPoints => new LinkageOptObj({
+      linkageSpec: copy(fourBarData),
+      precisionPoints,
+    });
+
+    // the end of the crank is 5 from the middle, at the angle it's turned to
+    var exact = makePrecisionOptObj([
+      {id: 'p2', angle: Math.PI / 2, point: {x: 0, y: 5}},
+      {id: 'p2', angle: Math.PI, point: {x: -5, y: 0}, weight: 3},
+    ]);
+    expect(exact.calcPerfCached()).toBeCloseTo(0, 10);
+
+    var off = makePrecisionOptObj([
+      {id: 'p2', angle: Math.PI / 2, point: {x: 0, y: 6}},
+      {id: 'p2', angle: Math.PI, point: {x: -5, y: 2}, weight: 3},
+    ]);
+    expect(off.calcPerfCached()).toBeCloseTo(1 + 3 * 2, 10);
+
+    // the right place at the wrong time doesn't count
+    var late = makePrecisionOptObj([
+      {id: 'p2', angle: Math.PI, point: {x: 0, y: 5}},
+    ]);
+    expect(late.calcPerfCached()).toBeCloseTo(5 * Math.SQRT2, 10);
+  });
+
+  it('needs something to optimize towards', function() {
+    var LinkageOptObj = require('../optimize/LinkageOptObj');
+    var optObj = new LinkageOptObj({
+      linkageSpec: copy(fourBarData),
+    });
+    expect(optObj.isValid()).toBe(false);
+  });
 });
+
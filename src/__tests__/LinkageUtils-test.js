@@ -1,5 +1,10 @@
 jest
+  .dontMock('../math/CamUtils')
   .dontMock('../math/GeometryUtils')
+  .dontMock('../math/calcCommonPeriod')
+  .dontMock('../math/smallestNumberDivisibleBy')
+  .dontMock('../math/solveBarConstraints')
+  .dontMock('../math/solveLinearSystem')
   .dontMock('../Linkage');
 
 var linkageData = {
@@ -74,3 +79,1006 @@ describe('calcLinkagePositions', function () {
   });
 });
 
+var sliderCrankData = {
+  points: {
+    p0: {
+      p1: { len: 1 },
+    },
+    p1: {
+      p0: { len: 1 },
+      p2: { len: 5 },
+    },
+    p2: {
+      p1: { len: 5 },
+      p4: { len: 5 },
+    },
+    p3: {},
+    p4: {
+      p2: { len: 5 },
+    },
+  },
+  extenders: {
+    p2: {
+      base: "p1",
+      ref: "p0",
+      angle: 0.9272952180016122, // atan(4/3)
+      len: 5,
+      speed: 1,
+    },
+  },
+  rotaries: {
+    p1: "p2",
+  },
+  sliders: {
+    p4: {
+      base: "p3",
+      angle: 0,
+      solution: 0,
+    },
+  },
+  groundPoints: {
+    p0: { x: 1, y: 0 },
+    p1: { x: 0, y: 0 },
+    p3: { x: -10, y: 0 },
+  },
+  solutionMap: {
+    p0: {
+      p2: {
+        p1: 0,
+      },
+    },
+    p2: {
+      p0: {
+        p1: 1,
+      },
+    },
+  },
+};
+
+describe('sliders', function () {
+  it('calculates slider positions along their rail', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(sliderCrankData)));
+    linkage.calculatePositions();
+    var res = linkage.positions;
+    expect(res.p4.x).toBeCloseTo(6, 10);
+    expect(res.p4.y).toBeCloseTo(0, 10);
+  });
+
+  it('keeps sliders on their rail while dragging', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(sliderCrankData)));
+    linkage.calculatePositions();
+    linkage.moveNotGroundPoint({x: -2, y: 1}, 'p4');
+    var res = linkage.positions;
+    expect(res.p4.x).toBeCloseTo(-2, 10);
+    expect(res.p4.y).toBeCloseTo(0, 10);
+    expect(linkage.spec.points.p2.p4.len).toBeCloseTo(Math.sqrt(41), 10);
+  });
+
+  it('removes the rail along with the slider', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(sliderCrankData)));
+    linkage.calculatePositions();
+    expect(linkage.tryRemovingPoint('p4')).toBe(true);
+    expect(linkage.spec.sliders.p4).toBeUndefined();
+    expect(linkage.spec.groundPoints.p3).toBeUndefined();
+    expect(linkage.spec.points.p3).toBeUndefined();
+  });
+});
+
+var actuatorData = {
+  points: {
+    p0: {
+      p2: { len: 6 },
+    },
+    p1: {
+      p2: { len: 6 },
+    },
+    p2: {
+      p0: { len: 6 },
+      p1: { len: 6 },
+    },
+  },
+  extenders: {},
+  rotaries: {},
+  actuators: {
+    p2: {
+      base: "p0",
+      min: 5,
+      max: 7,
+      speed: 1,
+    },
+  },
+  groundPoints: {
+    p0: { x: 0, y: 0 },
+    p1: { x: 10, y: 0 },
+  },
+  solutionMap: {
+    p0: {
+      p1: {
+        p2: 0,
+      },
+    },
+    p1: {
+      p0: {
+        p2: 1,
+      },
+    },
+  },
+};
+
+describe('actuators', function () {
+  it('oscillates between its limits', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(actuatorData)));
+    linkage.calculatePositions();
+
+    var min = Number.MAX_VALUE;
+    var max = 0;
+    for (var i = 0; i < 200; i++) {
+      expect(linkage.tryRotatingLinkageInput()).toBe(true);
+      var len = linkage.spec.points.p0.p2.len;
+      min = Math.min(min, len);
+      max = Math.max(max, len);
+      expect(len).toBe(linkage.spec.points.p2.p0.len);
+    }
+
+    expect(min).toBeCloseTo(5, 1);
+    expect(max).toBeCloseTo(7, 1);
+  });
+
+  it('completes a stroke in one cycle of the path', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(actuatorData)));
+    linkage.calculatePositions();
+
+    var path = linkage.getPath('p2');
+    var first = path[0];
+    var last = path[path.length - 1];
+    var euclid = require('../math/GeometryUtils').euclid;
+    expect(euclid(first, last)).toBeLessThan(.2);
+
+    // the actuator is restored afterwards
+    expect(linkage.spec.points.p0.p2.len).toBe(6);
+    expect(linkage.spec.actuators.p2.speed).toBe(1);
+  });
+
+  it('moves its range when its length is changed', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(actuatorData)));
+    linkage.calculatePositions();
+
+    linkage.tryChangingBarLength(1, 'p2', 'p0');
+    expect(linkage.spec.actuators.p2.min).toBe(6);
+    expect(linkage.spec.actuators.p2.max).toBe(8);
+  });
+});
+
+describe('tryFlippingSolution', function () {
+  it('mirrors a point across the bars that place it', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(linkageData)));
+    linkage.calculatePositions();
+
+    expect(linkage.tryFlippingSolution('p3')).toBe(true);
+    expect(linkage.spec.solutionMap.p2.p4.p3).toBe(1);
+    expect(linkage.spec.solutionMap.p4.p2.p3).toBe(0);
+
+    // the bars keep their lengths, but p3 ends up on the other side of the
+    // line from p2 to p4
+    var p2 = linkage.positions.p2;
+    var p3 = linkage.positions.p3;
+    var p4 = linkage.positions.p4;
+    var euclid = require('../math/GeometryUtils').euclid;
+    expect(euclid(p2, p3)).toBeCloseTo(10, 10);
+    expect(euclid(p4, p3)).toBeCloseTo(15, 10);
+    expect(p3.x === 13 && p3.y === 4).toBe(false);
+  });
+
+  it('does nothing for points without another solution', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(linkageData)));
+    linkage.calculatePositions();
+
+    expect(linkage.tryFlippingSolution('p0')).toBe(false);
+    expect(linkage.spec).toEqual(linkageData);
+  });
+
+  it('flips sliders to the other side of their bar', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(sliderCrankData)));
+    linkage.calculatePositions();
+
+    expect(linkage.tryFlippingSolution('p4')).toBe(true);
+    expect(linkage.positions.p4.x).toBeCloseTo(0, 10);
+    expect(linkage.positions.p4.y).toBeCloseTo(0, 10);
+  });
+});
+
+var lockingData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 5}},
+    p2: {p1: {len: 5}, p4: {len: 5}},
+    p3: {p4: {len: 5}},
+    p4: {p2: {len: 5}, p3: {len: 5}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0, len: 5, speed: 1},
+  },
+  rotaries: {p1: 'p2'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+    p3: {x: 12, y: 0},
+  },
+  solutionMap: {
+    p2: {p3: {p4: 0}},
+    p3: {p2: {p4: 1}},
+  },
+};
+
+describe('getInputRange', function () {
+  it('finds the whole rotation for a crank', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(sliderCrankData)));
+    linkage.calculatePositions();
+
+    var res = linkage.getInputRange('p1');
+    expect(res.fullRotation).toBe(true);
+    expect(res.deadPoints.length).toBe(0);
+  });
+
+  it('finds the dead points of a rotary that locks up', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(lockingData)));
+    linkage.calculatePositions();
+
+    // the coupler and rocker can reach at most 10 from p3, so the crank is
+    // limited to angles where cos(angle) >= (25 + 144 - 100) / 120
+    var limit = Math.acos(69 / 120);
+    var res = linkage.getInputRange('p1');
+    expect(res.fullRotation).toBe(false);
+    expect(res.ranges.length).toBe(1);
+    expect(res.ranges[0].start).toBeCloseTo(2 * Math.PI - limit, 6);
+    expect(res.ranges[0].end).toBeCloseTo(2 * Math.PI + limit, 6);
+
+    expect(res.deadPoints.length).toBe(2);
+    var failure = res.deadPoints[0].failure;
+    expect(failure.type).toBe('triangle');
+    expect(failure.id).toBe('p4');
+    expect(failure.straight).toBe('extended');
+  });
+
+  it('reports lock ups when reversing a rotary', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(lockingData)));
+    linkage.calculatePositions();
+
+    for (var i = 0; i < 40; i++) {
+      linkage.tryRotatingLinkageInput();
+    }
+
+    expect(linkage.spec.extenders.p2.speed).toBe(-1);
+    expect(linkage.lastLockup.rotID).toBe('p1');
+    expect(linkage.lastLockup.failure.bars).toEqual([['p4', 'p2'], ['p4', 'p3']]);
+  });
+});
+
+describe('point ids', function () {
+  it('does not reuse ids that are still in use', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    // leave a gap, so there are fewer points than the highest id
+    spec.points.p5 = spec.points.p3;
+    delete spec.points.p3;
+    spec.points.p2.p5 = spec.points.p2.p3;
+    delete spec.points.p2.p3;
+    spec.points.p4.p5 = spec.points.p4.p3;
+    delete spec.points.p4.p3;
+    spec.solutionMap.p2.p4 = {p5: 0};
+    spec.solutionMap.p4.p2 = {p5: 1};
+
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+    linkage.addTriangle('p2', 'p5', {x: 8, y: 10});
+
+    expect(Object.keys(linkage.spec.points).length).toBe(6);
+    expect(linkage.spec.points.p6).toBeDefined();
+    expect(linkage.spec.points.p4.p5.len).toBe(15);
+  });
+});
+
+describe('tryMergingSpec', function () {
+  it('adds another spec under new ids', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    spec.rotaries = {p1: 'p2'};
+    var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+    linkage.calculatePositions();
+
+    var idMap = linkage.tryMergingSpec(spec, {}, {x: 0, y: 20});
+    expect(idMap).toEqual({p0: 'p5', p1: 'p6', p2: 'p7', p3: 'p8', p4: 'p9'});
+    expect(linkage.spec.rotaries.p6).toBe('p7');
+    expect(linkage.spec.extenders.p7.base).toBe('p6');
+    expect(linkage.spec.extenders.p7.ref).toBe('p5');
+    expect(linkage.spec.solutionMap.p7.p9.p8).toBe(0);
+
+    expect(linkage.positions.p3.x).toBeCloseTo(13, 10);
+    expect(linkage.positions.p3.y).toBeCloseTo(4, 10);
+    expect(linkage.positions.p8.x).toBeCloseTo(13, 10);
+    expect(linkage.positions.p8.y).toBeCloseTo(24, 10);
+  });
+
+  it('joins points onto existing ones', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    spec.rotaries = {p1: 'p2'};
+    var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+    linkage.calculatePositions();
+
+    var idMap = linkage.tryMergingSpec(spec, {p4: 'p4'});
+    expect(idMap.p4).toBe('p4');
+    expect(Object.keys(linkage.spec.points.p4).sort()).toEqual(['p3', 'p8']);
+    expect(Object.keys(linkage.spec.groundPoints).length).toBe(5);
+  });
+
+  it('refuses specs that can not be solved', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    spec.rotaries = {p1: 'p2'};
+    var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+    linkage.calculatePositions();
+
+    // joined onto the rotary reference, the other leg's far ground point is
+    // too close to its crank for the two bars to meet
+    var idMap = linkage.tryMergingSpec(spec, {p4: 'p0'});
+    expect(idMap).toBeNull();
+    expect(linkage.spec).toEqual(spec);
+  });
+
+  it('refuses joins onto points that do not exist', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    spec.rotaries = {p1: 'p2'};
+    var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+    linkage.calculatePositions();
+
+    expect(linkage.tryMergingSpec(spec, {p4: 'p99'})).toBeNull();
+    expect(linkage.spec).toEqual(spec);
+  });
+
+  it('refuses two rotaries at the same point', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(linkageData));
+    spec.rotaries = {p1: 'p2'};
+    var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+    linkage.calculatePositions();
+
+    expect(linkage.tryMergingSpec(spec, {p1: 'p1'})).toBeNull();
+    expect(linkage.spec).toEqual(spec);
+  });
+});
+
+// a crank driving a class-III assur group: a triangle of bars (p5, p6, p7)
+// hung from the crank and two ground points by one bar each, so no point of
+// it has two placed neighbours to be solved from
+var triadPositions = {
+  p0: {x: 1, y: 0},
+  p1: {x: 0, y: 0},
+  p2: {x: 3, y: 4},
+  p3: {x: 9, y: 7},
+  p4: {x: 7.5, y: -6},
+  p5: {x: 6, y: 2},
+  p6: {x: 9, y: 2},
+  p7: {x: 7.5, y: 0},
+};
+
+function makeTriadData() {
+  var points = {};
+  [
+    ['p0', 'p1'], ['p1', 'p2'], ['p2', 'p5'], ['p3', 'p6'], ['p4', 'p7'],
+    ['p5', 'p6'], ['p6', 'p7'], ['p7', 'p5'],
+  ].forEach(([p0id, p1id]) => {
+    var p0 = triadPositions[p0id];
+    var p1 = triadPositions[p1id];
+    var len = Math.sqrt(Math.pow(p1.x - p0.x, 2) + Math.pow(p1.y - p0.y, 2));
+    points[p0id] = points[p0id] || {};
+    points[p1id] = points[p1id] || {};
+    points[p0id][p1id] = {len};
+    points[p1id][p0id] = {len};
+  });
+
+  return {
+    points,
+    extenders: {
+      p2: {base: 'p1', ref: 'p0', angle: Math.atan(4/3), len: 5, speed: 1},
+    },
+    rotaries: {p1: 'p2'},
+    groundPoints: {
+      p0: triadPositions.p0,
+      p1: triadPositions.p1,
+      p3: triadPositions.p3,
+      p4: triadPositions.p4,
+    },
+    solutionMap: {
+      p0: {p2: {p1: 0}},
+      p2: {p0: {p1: 1}},
+    },
+  };
+}
+
+describe('solving points together', function () {
+  it('places loops that triangles can not', function () {
+    var Linkage = require('../Linkage');
+    var euclid = require('../math/GeometryUtils').euclid;
+    var data = makeTriadData();
+    var linkage = new Linkage(data);
+    // start from the positions the lengths were measured at
+    linkage.positions = JSON.parse(JSON.stringify(triadPositions));
+
+    expect(linkage.calculatePositions()).toBe(true);
+    ['p5', 'p6', 'p7'].forEach(id => {
+      expect(linkage.positions[id].x).toBeCloseTo(triadPositions[id].x, 6);
+      expect(linkage.positions[id].y).toBeCloseTo(triadPositions[id].y, 6);
+    });
+
+    // turning the crank (it locks up and reverses a few steps in) keeps
+    // every bar at its length, and the triangle on the same branch
+    for (var i = 0; i < 10; i++) {
+      var prev = linkage.positions.p5;
+      linkage.tryRotatingLinkageInput();
+      expect(euclid(prev, linkage.positions.p5)).toBeLessThan(1);
+    }
+    expect(linkage.lastLockup.failure.type).toBe('numeric');
+    Object.keys(data.points).forEach(p0id => {
+      Object.keys(data.points[p0id]).forEach(p1id => {
+        expect(euclid(linkage.positions[p0id], linkage.positions[p1id]))
+          .toBeCloseTo(data.points[p0id][p1id].len, 6);
+      });
+    });
+  });
+
+  it('starts from the seed it is given', function () {
+    var Linkage = require('../Linkage');
+    var euclid = require('../math/GeometryUtils').euclid;
+    var linkage = new Linkage(makeTriadData());
+    linkage.positions = JSON.parse(JSON.stringify(triadPositions));
+    linkage.calculatePositions();
+
+    // the triangle can also be put together folded in on itself
+    var folded = {
+      p5: {x: 4.465, y: 0.706},
+      p6: {x: 6.895, y: 2.465},
+      p7: {x: 6.853, y: -0.035},
+    };
+    var seeded = linkage.calculatePositionsAtTime(.05, true, folded);
+    var unseeded = linkage.calculatePositionsAtTime(.05, true);
+    ['p5', 'p6', 'p7'].forEach(id => {
+      expect(euclid(seeded[id], folded[id])).toBeLessThan(.5);
+      expect(euclid(unseeded[id], triadPositions[id])).toBeLessThan(.5);
+    });
+  });
+
+  it('samples each point in time from the one before', function () {
+    var Linkage = require('../Linkage');
+    var euclid = require('../math/GeometryUtils').euclid;
+    // with a shorter crank, the group goes all the way round
+    var data = makeTriadData();
+    var p2 = {x: .6, y: .8};
+    var len = euclid(p2, triadPositions.p5);
+    data.points.p1.p2.len = data.points.p2.p1.len = 1;
+    data.points.p2.p5.len = data.points.p5.p2.len = len;
+    data.extenders.p2.len = 1;
+    var linkage = new Linkage(data);
+    linkage.positions = Object.assign({}, triadPositions, {p2});
+    expect(linkage.calculatePositions()).toBe(true);
+
+    var paths = linkage.samplePaths(['p5', 'p6', 'p7'], {numSamples: 60});
+    expect(paths).not.toBe(null);
+    ['p5', 'p6', 'p7'].forEach(id => {
+      paths[id].forEach((point, i) => {
+        var next = paths[id][(i + 1) % paths[id].length];
+        expect(euclid(point, next)).toBeLessThan(.5);
+      });
+    });
+    expect(euclid(paths.p5[0], triadPositions.p5)).toBeCloseTo(0, 6);
+  });
+
+  it('does not place points that are missing bars', function () {
+    var Linkage = require('../Linkage');
+    var data = makeTriadData();
+    delete data.points.p4.p7;
+    delete data.points.p7.p4;
+    var linkage = new Linkage(data);
+
+    expect(linkage.calculatePositions()).toBe(false);
+    expect(linkage.lastFailure.type).toBe('unsolved');
+  });
+});
+
+var crankData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 5}},
+    p2: {p1: {len: 5}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0.9272952180016122, len: 5, speed: 1},
+  },
+  rotaries: {p1: 'p2'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+  },
+  solutionMap: {
+    p0: {p2: {p1: 0}},
+    p2: {p0: {p1: 1}},
+  },
+};
+
+describe('advance', function () {
+  it('turns rotaries by their rpm', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.extenders.p2.speed = 2;
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+    linkage.rpm = 15;
+
+    expect(linkage.getRotaryRPM('p1')).toBe(30);
+
+    // a quarter of a turn, in steps no bigger than the usual step size
+    var numSteps = 0;
+    expect(linkage.advance(.5, () => numSteps++)).toBe(true);
+    expect(spec.extenders.p2.angle)
+      .toBeCloseTo(0.9272952180016122 + Math.PI / 2, 10);
+    expect(numSteps).toBe(Math.ceil(Math.PI / 2 / 2 / linkage.speed));
+  });
+
+  it('scales the rpm of every rotary', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    var rpm = linkage.getRotaryRPM('p1');
+
+    linkage.scaleSpeed(2);
+    expect(linkage.getRotaryRPM('p1')).toBe(2 * rpm);
+  });
+
+  it('changes the rpm of one rotary by any amount', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.extenders.p2.speed = -1;
+    var linkage = new Linkage(spec);
+
+    // a reversed rotary speeds up without changing direction
+    linkage.changeRotaryRPM(15, 'p1');
+    expect(linkage.getRotaryRPM('p1')).toBeCloseTo(-45, 10);
+    expect(spec.extenders.p2.speed).toBeCloseTo(-1.5, 10);
+
+    // and can't be slowed to a stop
+    linkage.changeRotaryRPM(-45, 'p1');
+    expect(linkage.getRotaryRPM('p1')).toBeCloseTo(-45, 10);
+    expect(linkage.getCycleTime()).toBeCloseTo(4 * Math.PI / 3, 10);
+  });
+});
+
+// two cranks, each driving a bar to a shared point
+var twoCrankData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 2}},
+    p2: {p1: {len: 2}, p6: {len: 8}},
+    p3: {p4: {len: 1}},
+    p4: {p3: {len: 1}, p5: {len: 2}},
+    p5: {p4: {len: 2}, p6: {len: 8}},
+    p6: {p2: {len: 8}, p5: {len: 8}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0, len: 2, speed: 1},
+    p5: {base: 'p4', ref: 'p3', angle: 0, len: 2, speed: 1},
+  },
+  rotaries: {p1: 'p2', p4: 'p5'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+    p3: {x: 11, y: 0},
+    p4: {x: 10, y: 0},
+  },
+  solutionMap: {
+    p2: {p5: {p6: 0}},
+    p5: {p2: {p6: 1}},
+  },
+};
+
+describe('gears', function () {
+  it('turns geared rotaries with their driver', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(twoCrankData)));
+    linkage.calculatePositions();
+
+    expect(linkage.setGear('p4', 'p1', 1.5, .25)).toBe(true);
+    for (var i = 0; i < 10; i++) {
+      expect(linkage.tryRotatingLinkageInput()).toBe(true);
+    }
+
+    var {extenders} = linkage.spec;
+    expect(extenders.p2.angle).toBeCloseTo(10 * linkage.speed, 10);
+    expect(extenders.p5.angle).toBeCloseTo(.25 + 15 * linkage.speed, 10);
+    expect(extenders.p5.speed).toBe(1.5);
+  });
+
+  it('reverses geared rotaries along with their driver', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(twoCrankData)));
+    linkage.calculatePositions();
+    linkage.setGear('p4', 'p1', -2);
+
+    linkage.reverseRotary('p4');
+    expect(linkage.spec.extenders.p2.speed).toBe(-1);
+    expect(linkage.spec.extenders.p5.speed).toBe(2);
+
+    linkage.changeSpeed(-1, 'p4');
+    expect(linkage.spec.extenders.p2.speed).toBe(-2);
+    expect(linkage.spec.extenders.p5.speed).toBe(4);
+  });
+
+  it('does not gear rotaries in a loop', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(twoCrankData)));
+    linkage.calculatePositions();
+
+    expect(linkage.setGear('p4', 'p1', 2)).toBe(true);
+    expect(linkage.setGear('p1', 'p4', 2)).toBe(false);
+  });
+
+  it('sweeps geared rotaries through their driver', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(twoCrankData));
+    // too short to reach across when the cranks point away from each other
+    spec.points.p2.p6.len = spec.points.p6.p2.len = 5.2;
+    spec.points.p5.p6.len = spec.points.p6.p5.len = 5.2;
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+    linkage.setGear('p4', 'p1', -1, .25);
+    var extenders = JSON.parse(JSON.stringify(linkage.spec.extenders));
+
+    var res = linkage.getInputRange('p4');
+    expect(res.fullRotation).toBe(false);
+    expect(res.ranges.length).toBeGreaterThan(0);
+    res.ranges.forEach(({start, end}) => {
+      var mid = (start + end) / 2;
+      expect(linkage.calculatePositionsAtInputAngle('p4', mid)).not.toBe(null);
+      expect(linkage.calculatePositionsAtInputAngle('p4', start - .01))
+        .toBe(null);
+      expect(linkage.calculatePositionsAtInputAngle('p4', end + .01))
+        .toBe(null);
+    });
+    expect(linkage.spec.extenders).toEqual(extenders);
+  });
+
+  it('lists the inputs held still while a rotary is swept', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(twoCrankData)));
+    linkage.calculatePositions();
+
+    expect(linkage.getHeldInputs('p1')).toEqual({p5: 0});
+    linkage.tryRotatingLinkageInput();
+    expect(linkage.getHeldInputs('p1')).toEqual({p5: linkage.speed});
+
+    // geared rotaries turn along with the one being swept
+    linkage.setGear('p4', 'p1', 2);
+    expect(linkage.getHeldInputs('p1')).toEqual({});
+    expect(linkage.getHeldInputs('p4')).toEqual({});
+  });
+
+  it('traces paths over the common period of the gears', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(twoCrankData)));
+    linkage.calculatePositions();
+    linkage.setGear('p4', 'p1', 1.5);
+
+    // the driver turns twice while the geared rotary turns three times
+    var path = linkage.getPath('p6');
+    expect(path.length).toBe(Math.ceil(4 * Math.PI / linkage.speed));
+    expect(linkage.spec.extenders.p2.angle).toBe(0);
+  });
+});
+
+describe('cams', function () {
+  it('puts the follower where the cam was added', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+
+    linkage.addCam('p1', {x: 0, y: 2});
+    expect(linkage.calculatePositions()).toBe(true);
+    expect(linkage.spec.cams.p3.rotary).toBe('p1');
+    expect(linkage.positions.p3.x).toBeCloseTo(0, 10);
+    expect(linkage.positions.p3.y).toBeCloseTo(2, 10);
+  });
+
+  it('moves the follower along its line as the cam turns', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.addCam('p1', {x: 0, y: 2});
+    linkage.calculatePositions();
+
+    // half a turn brings the lobe under the follower
+    linkage.spec.extenders.p2.angle += Math.PI;
+    expect(linkage.calculatePositions()).toBe(true);
+    expect(linkage.positions.p3.x).toBeCloseTo(0, 10);
+    expect(linkage.positions.p3.y).toBeCloseTo(3, 10);
+  });
+
+  it('removes the cam with its rotary', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.addCam('p1', {x: 0, y: 2});
+
+    expect(linkage.tryRemovingPoint('p1')).toBe(true);
+    expect(linkage.spec.cams.p3).toBeUndefined();
+    expect(linkage.spec.points.p3).toBeUndefined();
+  });
+});
+
+// torque the inputs need to hold the loads, from the work the loads do as the
+// linkage moves a little
+function calcVirtualWorkTorque(linkage, h) {
+  var before = linkage.calculatePositionsAtTime(-h);
+  var after = linkage.calculatePositionsAtTime(h);
+  var loads = linkage.spec.loads;
+  var work = 0;
+  Object.keys(loads).forEach(id => {
+    work += loads[id].x * (after[id].x - before[id].x) +
+      loads[id].y * (after[id].y - before[id].y);
+  });
+  return -work / (2 * h);
+}
+
+describe('forces', function () {
+  it('balances a load on a crank', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.setLoad('p2', {x: 0, y: -1});
+
+    var forces = linkage.calculateForces();
+    expect(forces.bars.length).toBe(1);
+    expect(forces.bars[0].force).toBeCloseTo(-0.8, 10);
+    expect(forces.torques.p1).toBeCloseTo(3, 10);
+  });
+
+  it('finds the input torque of a four-bar', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.points.p2.p4 = {len: 15};
+    spec.points.p3 = {p4: {len: 10}};
+    spec.points.p4 = {p2: {len: 15}, p3: {len: 10}};
+    spec.groundPoints.p3 = {x: 16, y: 0};
+    spec.solutionMap.p2.p3 = {p4: 0};
+    spec.solutionMap.p3 = {p2: {p4: 1}};
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+    linkage.setLoad('p4', {x: 2, y: -3});
+
+    var forces = linkage.calculateForces();
+    expect(forces.torques.p1)
+      .toBeCloseTo(calcVirtualWorkTorque(linkage, 1e-5), 5);
+  });
+
+  it('finds the torque to turn a cam against its follower', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.addCam('p1', {x: 0, y: 2});
+
+    // partway up the lobe, where pushing the follower takes some torque
+    linkage.spec.extenders.p2.angle += 2.5;
+    linkage.calculatePositions();
+    linkage.setLoad('p3', {x: 0, y: -1});
+
+    var forces = linkage.calculateForces();
+    var torque = calcVirtualWorkTorque(linkage, 1e-5);
+    expect(Math.abs(torque)).toBeGreaterThan(0.01);
+    expect(forces.torques.p1).toBeCloseTo(torque, 5);
+  });
+
+  it('gives the forces over a whole cycle', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.setLoad('p2', {x: 0, y: -1});
+
+    var cycle = linkage.getForcesOverCycle();
+    expect(cycle.length).toBe(linkage.getStepsPerCycle());
+    cycle.forEach(forces => {
+      expect(Math.abs(forces.torques.p1)).not.toBeGreaterThan(5 + 1e-10);
+    });
+    expect(linkage.spec.extenders.p2.angle).toBe(0.9272952180016122);
+  });
+
+  it('removes loads', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.setLoad('p2', {x: 0, y: -1});
+    linkage.setLoad('p2', null);
+
+    expect(linkage.spec.loads.p2).toBeUndefined();
+    expect(linkage.calculateForces().torques.p1).toBe(0);
+  });
+});
+
+describe('interference', function () {
+  // a crank sweeping across a fixed bar at x = 2
+  function makeCrossingSpec() {
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.points.p3 = {p4: {len: 20}};
+    spec.points.p4 = {p3: {len: 20}};
+    spec.groundPoints.p3 = {x: 2, y: -10};
+    spec.groundPoints.p4 = {x: 2, y: 10};
+    return spec;
+  }
+
+  it('finds bars that overlap', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(makeCrossingSpec());
+    linkage.calculatePositions();
+
+    var pairs = linkage.findInterferingBars();
+    expect(pairs.length).toBe(1);
+    var ids = pairs[0].map(bar => bar.slice().sort().join()).sort();
+    expect(ids).toEqual(['p1,p2', 'p3,p4']);
+
+    linkage.setBarLayer(1, 'p3', 'p4');
+    expect(linkage.findInterferingBars()).toEqual([]);
+  });
+
+  it('only checks the pairs it is given', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(makeCrossingSpec());
+    linkage.calculatePositions();
+
+    var pairs = linkage.findInterferingBars();
+    expect(linkage.findInterferingBars(pairs)).toEqual(pairs);
+    expect(linkage.findInterferingBars([])).toEqual([]);
+    expect(linkage.findInterferingBars([[['p0', 'p1'], ['p3', 'p4']]]))
+      .toEqual([]);
+  });
+
+  it('counts the width of the bars', function () {
+    var Linkage = require('../Linkage');
+    var spec = makeCrossingSpec();
+    // about 1.4 from the end of the crank
+    spec.groundPoints.p3 = {x: 4, y: 5};
+    spec.groundPoints.p4 = {x: 4, y: 25};
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+
+    expect(linkage.findInterferingBars()).toEqual([]);
+    linkage.setBarWidth(1.5, 'p3', 'p4');
+    linkage.setBarWidth(1.5, 'p1', 'p2');
+    expect(linkage.findInterferingBars().length).toBe(1);
+  });
+
+  it('reports where in the cycle bars hit each other', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(makeCrossingSpec());
+    linkage.calculatePositions();
+
+    var interference = linkage.findInterference();
+    expect(interference.length).toBe(1);
+
+    var {steps} = interference[0];
+    expect(steps.length).toBeGreaterThan(0);
+    expect(steps.length).toBeLessThan(linkage.getStepsPerCycle());
+    steps.forEach(({inputAngles}) => {
+      expect(5 * Math.cos(inputAngles.p1)).toBeGreaterThan(1.5);
+    });
+  });
+});
+
+describe('samplePath', function () {
+  function makeFourBar() {
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.points.p2.p4 = {len: 15};
+    spec.points.p3 = {p4: {len: 10}};
+    spec.points.p4 = {p2: {len: 15}, p3: {len: 10}};
+    spec.groundPoints.p3 = {x: 16, y: 0};
+    spec.solutionMap.p2.p3 = {p4: 0};
+    spec.solutionMap.p3 = {p2: {p4: 1}};
+    return spec;
+  }
+
+  it('samples evenly in time', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+
+    var path = linkage.samplePath('p2', {numSamples: 8});
+    expect(path.length).toBe(8);
+    path.forEach((point, i) => {
+      var angle = 0.9272952180016122 + i * Math.PI / 4;
+      expect(point.x).toBeCloseTo(5 * Math.cos(angle), 10);
+      expect(point.y).toBeCloseTo(5 * Math.sin(angle), 10);
+    });
+    expect(linkage.spec.extenders.p2.angle).toBe(0.9272952180016122);
+  });
+
+  it('fills in the path to a resolution', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(makeFourBar());
+    linkage.calculatePositions();
+
+    var path = linkage.samplePath('p4', {numSamples: 8, resolution: 0.1});
+    expect(path.length).toBeGreaterThan(8);
+    path.forEach((point, i) => {
+      var next = path[(i + 1) % path.length];
+      var dist = Math.sqrt(
+        Math.pow(next.x - point.x, 2) + Math.pow(next.y - point.y, 2)
+      );
+      expect(dist).not.toBeGreaterThan(0.1);
+    });
+
+    // and only where it needs to
+    var coarse = linkage.samplePath('p4', {numSamples: 8, resolution: 100});
+    expect(coarse.length).toBe(8);
+  });
+
+  it('bounces actuators off their limits', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+    linkage.toggleActuator('p1', 'p2');
+    linkage.spec.extenders.p2.speed = 0;
+
+    var path = linkage.samplePath('p2', {numSamples: 40});
+    path.forEach(point => {
+      var len = Math.sqrt(point.x * point.x + point.y * point.y);
+      expect(len).not.toBeGreaterThan(5 * 1.25 + 1e-10);
+      expect(len).not.toBeLessThan(5 * 0.75 - 1e-10);
+    });
+  });
+});
+
+describe('calculatePositionsAtInputAngle', function () {
+  it('solves the linkage where a rotary reaches an angle', function () {
+    var Linkage = require('../Linkage');
+    var linkage = new Linkage(JSON.parse(JSON.stringify(crankData)));
+    linkage.calculatePositions();
+
+    var positions = linkage.calculatePositionsAtInputAngle('p1', Math.PI);
+    expect(positions.p2.x).toBeCloseTo(-5, 10);
+    expect(positions.p2.y).toBeCloseTo(0, 10);
+    expect(linkage.spec.extenders.p2.angle).toBe(0.9272952180016122);
+  });
+
+  it('gets there the way the rotary turns', function () {
+    var Linkage = require('../Linkage');
+    var spec = JSON.parse(JSON.stringify(crankData));
+    spec.points.p2.p4 = {len: 15};
+    spec.points.p3 = {p4: {len: 10}};
+    spec.points.p4 = {p2: {len: 15}, p3: {len: 10}};
+    spec.groundPoints.p3 = {x: 16, y: 0};
+    spec.solutionMap.p2.p3 = {p4: 0};
+    spec.solutionMap.p3 = {p2: {p4: 1}};
+    spec.extenders.p2.speed = -1;
+    var linkage = new Linkage(spec);
+    linkage.calculatePositions();
+
+    var path = linkage.samplePath('p4', {numSamples: 4});
+    var positions = linkage.calculatePositionsAtInputAngle(
+      'p1',
+      0.9272952180016122 - Math.PI / 2
+    );
+    expect(positions.p4.x).toBeCloseTo(path[1].x, 10);
+    expect(positions.p4.y).toBeCloseTo(path[1].y, 10);
+
+    linkage.spec.extenders.p2.speed = 0;
+    expect(linkage.calculatePositionsAtInputAngle('p1', 0)).toBe(null);
+  });
+});
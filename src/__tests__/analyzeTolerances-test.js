@@ -0,0 +1,85 @@
+jest.autoMockOff();
+
+var {copy, fourBarData} = require('./fixtures');
+
+describe('analyzeTolerances', function() {
+  it('finds no deviation without any tolerance', function() {
+    var analyzeTolerances = require('../analysis/analyzeTolerances');
+    var spec = copy(fourBarData);
+    var analysis = analyzeTolerances(spec, 'p4', {
+      barTolerance: 0,
+      groundTolerance: 0,
+      numTrials: 5,
+      numSamples: 20,
+    });
+
+    expect(spec).toEqual(fourBarData);
+    expect(analysis.nominal.length).toBe(20);
+    expect(analysis.deviations.length).toBe(20);
+    expect(analysis.worstDeviation).toBe(0);
+    expect(analysis.numTrials).toBe(5);
+    expect(analysis.numFailures).toBe(0);
+    expect(analysis.sensitivities).toEqual([]);
+  });
+
+  it('keeps the crank inside its bar tolerance', function() {
+    var analyzeTolerances = require('../analysis/analyzeTolerances');
+    var analysis = analyzeTolerances(fourBarData, 'p2', {
+      barTolerance: .1,
+      groundTolerance: 0,
+      numTrials: 20,
+      numSamples: 20,
+    });
+
+    expect(analysis.numFailures).toBe(0);
+    expect(analysis.worstDeviation).toBeGreaterThan(0);
+    expect(analysis.worstDeviation).not.toBeGreaterThan(.1 + 1e-10);
+
+    // only the crank itself moves the end of the crank
+    var [first, ...rest] = analysis.sensitivities;
+    expect(first.type).toBe('bar');
+    expect(first.ids.slice().sort()).toEqual(['p1', 'p2']);
+    expect(first.deviation).toBeCloseTo(.1, 10);
+    expect(first.sensitivity).toBeCloseTo(1, 10);
+    expect(rest.length).toBe(2);
+    rest.forEach(({type, sensitivity}) => {
+      expect(type).toBe('bar');
+      expect(sensitivity).toBeCloseTo(0, 10);
+    });
+  });
+
+  it('moves the whole path with the ground points', function() {
+    var analyzeTolerances = require('../analysis/analyzeTolerances');
+    var analysis = analyzeTolerances(fourBarData, 'p2', {
+      barTolerance: 0,
+      groundTolerance: .1,
+      numTrials: 1,
+      numSamples: 20,
+      random: () => 1,
+    });
+
+    // p1 (along with its reference point) and p3 move .1 along both axes
+    analysis.deviations.forEach(deviation => {
+      expect(deviation).toBeCloseTo(.1 * Math.SQRT2, 10);
+    });
+    expect(analysis.sensitivities.map(({ids, axis}) => ids[0] + axis).sort())
+      .toEqual(['p1x', 'p1y', 'p3x', 'p3y']);
+    expect(analysis.sensitivities[0].sensitivity).toBeCloseTo(1, 10);
+  });
+
+  it('counts copies that lock up', function() {
+    var analyzeTolerances = require('../analysis/analyzeTolerances');
+    var analysis = analyzeTolerances(fourBarData, 'p4', {
+      barTolerance: 6,
+      groundTolerance: 0,
+      numTrials: 2,
+      numSamples: 20,
+      random: () => 0,
+    });
+
+    // every bar 6 shorter can't be put together at all
+    expect(analysis.numFailures).toBe(2);
+    expect(analysis.worstDeviation).toBe(0);
+    expect(analysis.sensitivities[0].sensitivity).toBe(Infinity);
+  });
+});
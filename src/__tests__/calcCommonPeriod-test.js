@@ -0,0 +1,21 @@
+jest.dontMock('../math/calcCommonPeriod');
+jest.dontMock('../math/smallestNumberDivisibleBy');
+var calcCommonPeriod = require('../math/calcCommonPeriod');
+
+describe('calcCommonPeriod', function() {
+  it('finds the turns before all speeds line up again', function () {
+    [
+      {speeds: [1], res: 1},
+      {speeds: [2], res: 1/2},
+      {speeds: [1, 2], res: 1},
+      {speeds: [2, 3], res: 1},
+      {speeds: [2, 4], res: 1/2},
+      {speeds: [1, 1.5], res: 2},
+      {speeds: [-1, 1.5], res: 2},
+      {speeds: [1, 2/3], res: 3},
+      {speeds: [0.75, 1.25], res: 4},
+    ].forEach(({speeds, res}) => {
+      expect(calcCommonPeriod(speeds)).toBeCloseTo(res, 10);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+jest.dontMock('../analysis/calcGaitMetrics');
+var calcGaitMetrics = require('../analysis/calcGaitMetrics');
+
+// a foot that walks flat along the ground from x = 0 to 4 in 8 steps, then
+// lifts 2 high on the way back in another 8
+function makeFootPath() {
+  var path = [];
+  for (var i = 0; i < 8; i++) {
+    path.push({x: i / 2, y: 0});
+  }
+  for (i = 0; i < 8; i++) {
+    var t = i / 8;
+    path.push({x: 4 - 4 * t, y: 2 * Math.sin(Math.PI * t)});
+  }
+  return path;
+}
+
+describe('calcGaitMetrics', function() {
+  it('measures a flat, steady stride', function() {
+    var metrics = calcGaitMetrics(makeFootPath());
+
+    expect(metrics.stepHeight).toBeCloseTo(2, 10);
+    expect(metrics.strideLength).toBeCloseTo(4, 10);
+    expect(metrics.stance.length).toBe(9);
+    expect(metrics.stanceFraction).toBeCloseTo(9 / 16, 10);
+    expect(metrics.flatness).toBeCloseTo(0, 10);
+    expect(metrics.velocityVariation).toBeCloseTo(0, 10);
+  });
+
+  it('finds stances that wrap around the start of the path', function() {
+    var path = makeFootPath();
+    var shifted = path.slice(4).concat(path.slice(0, 4));
+
+    var metrics = calcGaitMetrics(shifted);
+    expect(metrics.stance.length).toBe(9);
+    expect(metrics.strideLength).toBeCloseTo(4, 10);
+  });
+
+  it('measures bumps and uneven speed on the ground', function() {
+    var path = makeFootPath();
+    path[2] = {x: 0.6, y: 0.1};
+
+    var metrics = calcGaitMetrics(path);
+    expect(metrics.flatness).toBeGreaterThan(0);
+    expect(metrics.velocityVariation).toBeGreaterThan(0);
+  });
+});
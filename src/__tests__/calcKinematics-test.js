@@ -0,0 +1,54 @@
+jest.autoMockOff();
+
+var {copy, fourBarData} = require('./fixtures');
+
+// the four-bar, with its crank turning at 2 radians per unit of time
+function makeFourBar() {
+  var spec = copy(fourBarData);
+  spec.extenders.p2.speed = 2;
+  return spec;
+}
+
+describe('calcKinematics', function() {
+  it('calculates the motion of a rotary', function() {
+    var Linkage = require('../Linkage');
+    var calcKinematics = require('../analysis/calcKinematics');
+
+    var linkage = new Linkage(makeFourBar());
+    linkage.calculatePositions();
+    var res = calcKinematics(linkage);
+
+    // radius 5, turning at 2 radians per unit of time
+    var crank = res.points.p2;
+    expect(crank.speed).toBeCloseTo(10, 4);
+    expect(crank.velocity.x).toBeCloseTo(-8, 4);
+    expect(crank.velocity.y).toBeCloseTo(6, 4);
+    expect(crank.acceleration.x).toBeCloseTo(-12, 2);
+    expect(crank.acceleration.y).toBeCloseTo(-16, 2);
+
+    var crankBar = res.bars.filter(
+      bar => bar.p0id === 'p1' && bar.p1id === 'p2'
+    )[0];
+    expect(crankBar.angularVelocity).toBeCloseTo(2, 4);
+    expect(crankBar.angularAcceleration).toBeCloseTo(0, 2);
+
+    expect(res.points.p3.speed).toBe(0);
+  });
+
+  it('moves rockers perpendicular to their bar', function() {
+    var Linkage = require('../Linkage');
+    var calcKinematics = require('../analysis/calcKinematics');
+
+    var linkage = new Linkage(makeFourBar());
+    linkage.calculatePositions();
+    var res = calcKinematics(linkage);
+
+    var rocker = linkage.getPoint('p4');
+    var pivot = linkage.getPoint('p3');
+    var velocity = res.points.p4.velocity;
+    var dot = velocity.x * (rocker.x - pivot.x) +
+      velocity.y * (rocker.y - pivot.y);
+    expect(dot).toBeCloseTo(0, 3);
+    expect(res.points.p4.speed).toBeGreaterThan(0);
+  });
+});
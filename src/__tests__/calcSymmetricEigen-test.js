@@ -0,0 +1,37 @@
+jest.dontMock('../math/calcSymmetricEigen');
+var calcSymmetricEigen = require('../math/calcSymmetricEigen');
+
+describe('calcSymmetricEigen', function() {
+  it('finds the eigenvalues and eigenvectors of a symmetric matrix',
+    function() {
+      var A = [
+        [4, 1, 2],
+        [1, 3, 0],
+        [2, 0, 5],
+      ];
+      var {values, vectors} = calcSymmetricEigen(A);
+
+      expect(values.length).toBe(3);
+      values.forEach((value, k) => {
+        var v = vectors[k];
+        var length = Math.sqrt(v.reduce((sum, vi) => sum + vi * vi, 0));
+        expect(length).toBeCloseTo(1, 10);
+
+        // A v = value v
+        A.forEach((row, i) => {
+          var Av = row.reduce((sum, aij, j) => sum + aij * v[j], 0);
+          expect(Math.abs(Av - value * v[i])).toBeLessThan(1e-9);
+        });
+      });
+
+      var trace = values.reduce((sum, value) => sum + value, 0);
+      expect(trace).toBeCloseTo(12, 10);
+    }
+  );
+
+  it('leaves diagonal matrices as they are', function() {
+    var {values, vectors} = calcSymmetricEigen([[2, 0], [0, 7]]);
+    expect(values).toEqual([2, 7]);
+    expect(vectors).toEqual([[1, 0], [0, 1]]);
+  });
+});
@@ -0,0 +1,37 @@
+// linkages that several of the tests start from
+
+// a crank-rocker: the crank from p1 to p2 turns the rocker from p3 to p4,
+// through the coupler from p2 to p4
+var fourBarData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 5}},
+    p2: {p1: {len: 5}, p4: {len: 15}},
+    p3: {p4: {len: 10}},
+    p4: {p2: {len: 15}, p3: {len: 10}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0.9272952180016122, len: 5, speed: 1},
+  },
+  rotaries: {p1: 'p2'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+    p3: {x: 16, y: 0},
+  },
+  solutionMap: {
+    p0: {p2: {p1: 0}},
+    p2: {p0: {p1: 1}, p3: {p4: 0}},
+    p3: {p2: {p4: 1}},
+  },
+};
+
+// a copy of a spec that a test can change
+function copy(spec) {
+  return JSON.parse(JSON.stringify(spec));
+}
+
+module.exports = {
+  copy,
+  fourBarData,
+};
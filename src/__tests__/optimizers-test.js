@@ -0,0 +1,96 @@
+jest.autoMockOff();
+
+var OptObj = require('../optimize/OptObj');
+
+// distance squared from (3, 3, 3, 3), which is as good as it gets
+class BowlOptObj extends OptObj {
+  __calcPerf() {
+    return this.__data.params.reduce((sum, p) => sum + (p - 3) * (p - 3), 0);
+  }
+
+  getFeatures() {
+    return this.__data.params.map(
+      (p, i) => () => this.__data.params[i] += Math.random() - .5
+    );
+  }
+
+  getParams() {
+    return this.__data.params.slice();
+  }
+
+  __setParams(params) {
+    this.__data.params = params.slice();
+  }
+
+  isValid() {
+    return true;
+  }
+}
+
+function runOptimizer(name, numSteps) {
+  var {makeOptimizer} = require('../optimize/optimizers');
+  var optimizer = makeOptimizer(name, new BowlOptObj({params: [0, 0, 0, 0]}));
+  var perf = optimizer.bestPerf;
+
+  for (var i = 0; i < numSteps; i++) {
+    var best = optimizer.step();
+    // the best so far never gets worse
+    expect(best.calcPerfCached()).not.toBeGreaterThan(perf);
+    expect(optimizer.bestPerf).toBe(best.calcPerfCached());
+    perf = optimizer.bestPerf;
+  }
+
+  return perf;
+}
+
+describe('optimizers', function() {
+  it('lists every strategy', function() {
+    var {OPTIMIZER_NAMES} = require('../optimize/optimizers');
+    expect(OPTIMIZER_NAMES).toEqual([
+      'hill climbing',
+      'simulated annealing',
+      'nelder-mead',
+      'cma-es',
+      'differential evolution',
+    ]);
+  });
+
+  it('hill climbs and anneals downhill', function() {
+    expect(runOptimizer('hill climbing', 300)).toBeLessThan(36);
+    expect(runOptimizer('simulated annealing', 300)).toBeLessThan(36);
+  });
+
+  it('finds the bottom with the strategies that search params', function() {
+    expect(runOptimizer('nelder-mead', 500)).toBeLessThan(1e-3);
+    expect(runOptimizer('cma-es', 1000)).toBeLessThan(1e-3);
+    expect(runOptimizer('differential evolution', 1500)).toBeLessThan(1e-3);
+  });
+
+  it('complains about strategies that don\'t exist', function() {
+    var {makeOptimizer} = require('../optimize/optimizers');
+    expect(() => makeOptimizer('guessing', new BowlOptObj({params: [0]})))
+      .toThrow();
+  });
+
+  it('sets the params of linkages like their features do', function() {
+    var LinkageOptObj = require('../optimize/LinkageOptObj');
+    var optObj = new LinkageOptObj({
+      path: [{x: 10, y: 0}],
+      linkageSpec: JSON.parse(JSON.stringify(require('../linkageData'))),
+      id: 'p2',
+    });
+
+    var params = optObj.getParams();
+    var same = optObj.withParams(params);
+    same.getParams().forEach((param, i) => {
+      expect(param).toBeCloseTo(params[i], 10);
+    });
+    expect(same.calcPerfCached()).toBeCloseTo(optObj.calcPerfCached(), 10);
+
+    // the first param is the x of the first ground point that can move
+    var moved = params.slice();
+    moved[0] += .5;
+    expect(optObj.withParams(moved).getParams()[0])
+      .toBeCloseTo(params[0] + .5, 10);
+  });
+});
@@ -0,0 +1,91 @@
+jest.autoMockOff();
+
+var {copy, fourBarData} = require('./fixtures');
+
+describe('simulate', function() {
+  it('runs a full cycle without changing the spec', function() {
+    var simulate = require('../analysis/simulate');
+    var spec = copy(fourBarData);
+    var {frames, lockups} = simulate(spec);
+
+    expect(spec).toEqual(fourBarData);
+    expect(lockups).toEqual([]);
+    expect(frames.length).toBe(126);
+
+    expect(frames[0].time).toBe(0);
+    expect(frames[0].inputAngles.p1).toBe(0.9272952180016122);
+    expect(frames[0].positions.p2.x).toBeCloseTo(3, 10);
+    expect(frames[0].positions.p2.y).toBeCloseTo(4, 10);
+
+    frames.forEach(({time, inputAngles, positions}) => {
+      expect(inputAngles.p1).toBeCloseTo(0.9272952180016122 + time, 10);
+      expect(positions.p2.x).toBeCloseTo(5 * Math.cos(inputAngles.p1), 10);
+      expect(positions.p2.y).toBeCloseTo(5 * Math.sin(inputAngles.p1), 10);
+    });
+  });
+
+  it('simulates a range of time', function() {
+    var simulate = require('../analysis/simulate');
+    var {frames} = simulate(fourBarData, {
+      startTime: 1,
+      endTime: 2,
+      timeStep: 0.1,
+    });
+
+    expect(frames.length).toBe(11);
+    expect(frames[0].time).toBe(1);
+    expect(frames[10].time).toBeCloseTo(2, 10);
+    expect(frames[10].inputAngles.p1).toBeCloseTo(2.9272952180016122, 10);
+  });
+
+  it('starts actuators where they would have bounced to', function() {
+    var Linkage = require('../Linkage');
+    var simulate = require('../analysis/simulate');
+    var linkage = new Linkage(copy(fourBarData));
+    linkage.toggleActuator('p1', 'p2');
+    var spec = linkage.spec;
+
+    // the actuator reaches its longest at pi / 2, and is on its way back by 2
+    var fromStart = simulate(spec, {steps: 31, timeStep: 0.1}).frames;
+    var {frames} = simulate(spec, {startTime: 2, steps: 11, timeStep: 0.1});
+    var {max} = spec.actuators.p2;
+    expect(frames[0].actuatorLengths.p2).toBeLessThan(max);
+    expect(frames[0].actuatorLengths.p2).toBeCloseTo(
+      fromStart[20].actuatorLengths.p2,
+      10
+    );
+    expect(frames[10].actuatorLengths.p2).toBeCloseTo(
+      fromStart[30].actuatorLengths.p2,
+      10
+    );
+    expect(frames[10].actuatorLengths.p2)
+      .toBeLessThan(frames[0].actuatorLengths.p2);
+  });
+
+  it('records the forces from loads', function() {
+    var simulate = require('../analysis/simulate');
+    var spec = copy(fourBarData);
+    spec.loads = {p4: {x: 0, y: -1}};
+
+    var {frames} = simulate(spec, {steps: 10});
+    frames.forEach(({forces}) => {
+      expect(forces.bars.length).toBe(3);
+      expect(typeof forces.torques.p1).toBe('number');
+    });
+    expect(simulate(fourBarData, {steps: 1}).frames[0].forces).toBeUndefined();
+  });
+
+  it('records lock ups', function() {
+    var simulate = require('../analysis/simulate');
+    var spec = copy(fourBarData);
+    // too short for the crank to go all the way around
+    spec.points.p3.p4.len = 5;
+    spec.points.p4.p3.len = 5;
+    spec.groundPoints.p3 = {x: 18, y: 0};
+
+    var {frames, lockups} = simulate(spec, {steps: 100});
+    expect(frames.length).toBe(100);
+    expect(lockups.length).toBeGreaterThan(0);
+    expect(lockups[0].lockup.rotID).toBe('p1');
+  });
+});
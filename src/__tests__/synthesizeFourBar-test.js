@@ -0,0 +1,114 @@
+jest.autoMockOff();
+
+// a crank-rocker with a coupler point, p5, off to the side of its coupler
+var couplerData = {
+  points: {
+    p0: {p1: {len: 1}},
+    p1: {p0: {len: 1}, p2: {len: 5}},
+    p2: {p1: {len: 5}, p4: {len: 15}, p5: {len: 8}},
+    p3: {p4: {len: 10}},
+    p4: {p2: {len: 15}, p3: {len: 10}, p5: {len: 9}},
+    p5: {p2: {len: 8}, p4: {len: 9}},
+  },
+  extenders: {
+    p2: {base: 'p1', ref: 'p0', angle: 0.9272952180016122, len: 5, speed: 1},
+  },
+  rotaries: {p1: 'p2'},
+  groundPoints: {
+    p0: {x: 1, y: 0},
+    p1: {x: 0, y: 0},
+    p3: {x: 16, y: 0},
+  },
+  solutionMap: {
+    p0: {p2: {p1: 0}},
+    p2: {p0: {p1: 1}, p3: {p4: 0}, p4: {p5: 0}},
+    p3: {p2: {p4: 1}},
+    p4: {p2: {p5: 1}},
+  },
+};
+
+// where the coupler point is, and which way the coupler faces, at each of
+// the crank angles
+function makePoses(angles) {
+  var Linkage = require('../Linkage');
+  var linkage = new Linkage(couplerData);
+  return angles.map(angle => {
+    var positions = linkage.calculatePositionsAtInputAngle('p1', angle);
+    return {
+      x: positions.p5.x,
+      y: positions.p5.y,
+      angle: Math.atan2(
+        positions.p4.y - positions.p2.y,
+        positions.p4.x - positions.p2.x
+      ),
+    };
+  });
+}
+
+// the largest distance between a candidate's coupler point and the poses,
+// found by turning its crank until it passes each of them
+function calcMiss(candidate, poses) {
+  var Linkage = require('../Linkage');
+  var euclid = require('../math/GeometryUtils').euclid;
+  var linkage = new Linkage(candidate.spec);
+  var path = linkage.samplePath(candidate.id, {resolution: .01});
+  return Math.max.apply(null, poses.map(pose => Math.min.apply(
+    null,
+    path.map(p => euclid(p, pose))
+  )));
+}
+
+describe('synthesizeFourBar', function() {
+  it('passes through three poses', function() {
+    var Linkage = require('../Linkage');
+    var synthesizeFourBar = require('../analysis/synthesizeFourBar');
+    var poses = makePoses([.3, 1.5, 2.8]);
+    var candidates = synthesizeFourBar(poses, {maxCandidates: 3});
+
+    expect(candidates.length).toBe(3);
+    candidates.forEach(candidate => {
+      expect(candidate.error).toBeLessThan(1e-6);
+      expect(new Linkage(candidate.spec).calculatePositions()).toBe(true);
+    });
+
+    // the best ones turn all the way round, through the poses in order
+    expect(candidates[0].inOrder).toBe(true);
+    expect(candidates[0].fullRotation).toBe(true);
+    expect(calcMiss(candidates[0], poses)).toBeLessThan(.01);
+  });
+
+  it('passes through four poses', function() {
+    var synthesizeFourBar = require('../analysis/synthesizeFourBar');
+    var poses = makePoses([.3, 1.2, 2.2, 3.4]);
+    var candidates = synthesizeFourBar(poses);
+
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates[0].error).toBeLessThan(1e-6);
+    expect(calcMiss(candidates[0], poses)).toBeLessThan(.01);
+  });
+
+  it('finds the four-bar that made five poses', function() {
+    var euclid = require('../math/GeometryUtils').euclid;
+    var synthesizeFourBar = require('../analysis/synthesizeFourBar');
+    var poses = makePoses([.3, 1.2, 2.2, 3.4, 4.6]);
+    var candidates = synthesizeFourBar(poses);
+
+    // the five poses pin down the burmester points, which include the
+    // original pivots
+    var found = candidates.filter(candidate => {
+      var {p1, p3} = candidate.spec.groundPoints;
+      return euclid(p1, {x: 0, y: 0}) < 1e-6 &&
+        euclid(p3, {x: 16, y: 0}) < 1e-6;
+    });
+    expect(found.length).toBe(1);
+    expect(found[0].spec.points.p1.p2.len).toBeCloseTo(5, 10);
+    expect(found[0].spec.points.p3.p4.len).toBeCloseTo(10, 10);
+  });
+
+  it('needs three to five poses in different places', function() {
+    var synthesizeFourBar = require('../analysis/synthesizeFourBar');
+    var pose = {x: 0, y: 0, angle: 0};
+    expect(() => synthesizeFourBar([pose, pose])).toThrow();
+    expect(() => synthesizeFourBar([pose, pose, pose])).toThrow();
+  });
+});
@@ -0,0 +1,144 @@
+jest.autoMockOff();
+
+var {copy, fourBarData} = require('./fixtures');
+
+function errorTypes(validation) {
+  return validation.errors.map(error => error.type);
+}
+
+describe('validateSpec', function() {
+  it('accepts a working four-bar', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var validation = validateSpec(fourBarData);
+
+    expect(validation.errors).toEqual([]);
+    expect(validation.valid).toBe(true);
+    expect(validation.mobility).toBe(1);
+    expect(validation.inputs).toBe(1);
+  });
+
+  it('accepts the default linkage', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var linkageData = require('../linkageData');
+
+    expect(validateSpec(linkageData).valid).toBe(true);
+  });
+
+  it('reports missing fields', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    delete spec.rotaries;
+
+    var validation = validateSpec(spec);
+    expect(validation.valid).toBe(false);
+    expect(errorTypes(validation)).toEqual(['MISSING_FIELD']);
+  });
+
+  it('reports asymmetric bars', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    spec.points.p4.p2.len = 14;
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toEqual(['ASYMMETRIC_BAR']);
+    expect(validation.errors[0].ids).toEqual(['p2', 'p4']);
+  });
+
+  it('reports dangling points and extra freedom', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    spec.points.p4.p5 = {len: 3};
+    spec.points.p5 = {p4: {len: 3}};
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toEqual(
+      ['DANGLING_POINT', 'UNDER_CONSTRAINED']
+    );
+    expect(validation.errors[0].ids).toEqual(['p5']);
+    expect(validation.mobility).toBe(2);
+  });
+
+  it('reports extra constraints', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    spec.points.p1.p4 = {len: 12};
+    spec.points.p4.p1 = {len: 12};
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toEqual(['OVER_CONSTRAINED']);
+    expect(validation.mobility).toBe(0);
+  });
+
+  it('reports missing solutions', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    delete spec.solutionMap.p2.p3;
+    delete spec.solutionMap.p3;
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toEqual(['MISSING_SOLUTION']);
+    expect(validation.errors[0].ids[0]).toBe('p4');
+  });
+
+  it('reports gears between things that are not rotaries', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    spec.gears = {p1: {driver: 'p3', ratio: 2, phase: 0}};
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toEqual(['INVALID_GEAR']);
+  });
+
+  it('accepts cam followers, and reports cams off rotaries', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    var profile = {angles: [0], radii: [2]};
+    spec.points.p5 = {};
+    spec.cams = {p5: {rotary: 'p1', angle: 0, profile}};
+
+    var validation = validateSpec(spec);
+    expect(validation.errors).toEqual([]);
+    expect(validation.mobility).toBe(1);
+
+    spec.cams.p5.rotary = 'p3';
+    validation = validateSpec(spec);
+    expect(errorTypes(validation)).toContain('CAM_WITHOUT_ROTARY');
+  });
+
+  it('reports rotaries without refs', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    delete spec.extenders.p2.ref;
+
+    var validation = validateSpec(spec);
+    expect(errorTypes(validation)).toContain('ROTARY_WITHOUT_REF');
+  });
+});
+
+describe('validateSpec with loops', function() {
+  it('accepts points that can only be placed together', function() {
+    var validateSpec = require('../analysis/validateSpec');
+    var spec = copy(fourBarData);
+    // replace the rocker's ground with a triangle of bars hung from the
+    // coupler and two new ground points
+    spec.points = {
+      p0: {p1: {len: 1}},
+      p1: {p0: {len: 1}, p2: {len: 5}},
+      p2: {p1: {len: 5}, p5: {len: 4}},
+      p3: {p6: {len: 5}},
+      p4: {p7: {len: 6}},
+      p5: {p2: {len: 4}, p6: {len: 3}, p7: {len: 3}},
+      p6: {p3: {len: 5}, p5: {len: 3}, p7: {len: 3}},
+      p7: {p4: {len: 6}, p5: {len: 3}, p6: {len: 3}},
+    };
+    spec.groundPoints.p4 = {x: 7.5, y: -6};
+    spec.solutionMap = {
+      p0: {p2: {p1: 0}},
+      p2: {p0: {p1: 1}},
+    };
+
+    var validation = validateSpec(spec);
+    expect(validation.errors).toEqual([]);
+    expect(validation.mobility).toBe(1);
+  });
+});
@@ -0,0 +1,334 @@
+/* @flow */
+'use strict';
+
+var {
+  calcAnglesOfPath,
+  interpolatePath,
+  ixLoop,
+} = require('../math/CurveUtils');
+var {
+  angleDiff,
+  calcMinDistFromSegmentToPoint,
+  calcSegmentIntersection,
+  euclid,
+} = require('../math/GeometryUtils');
+
+type Point = {x: number; y: number};
+
+type OptionsType = {
+  numPoints?: number;
+  tolerance?: number;
+  minSegmentFraction?: number;
+};
+
+type StraightType = {start: Point; end: Point; points: Array<Point>};
+type ArcType = {center: Point; radius: number; points: Array<Point>};
+type SymmetryType = {point: Point; angle: number; error: number};
+
+type CurveAnalysisType = {
+  length: number;
+  area: number;
+  points: Array<Point>;
+  curvature: Array<number>;
+  cusps: Array<Point>;
+  crossings: Array<Point>;
+  straights: Array<StraightType>;
+  arcs: Array<ArcType>;
+  symmetry: SymmetryType;
+};
+
+var NUM_POINTS = 200;
+// how far points can stray from a line or arc to still count as on it, as a
+// fraction of the length of the curve
+var TOLERANCE_FRACTION = .002;
+// shortest straight or arc worth reporting, as a fraction of the curve
+var MIN_SEGMENT_FRACTION = .05;
+// a cusp is where the point almost stops, compared to its average speed, and
+// then heads back the way it came
+var CUSP_SPEED_FRACTION = .2;
+var CUSP_ANGLE = Math.PI / 2;
+var SYMMETRY_POINTS = 60;
+var SYMMETRY_ANGLES = 180;
+var SYMMETRY_REFINEMENTS = 20;
+
+function calcLength(path: Array<Point>): number {
+  return path.reduce((sum, p, i) => sum + euclid(p, ixLoop(path, i + 1)), 0);
+}
+
+// area inside a closed path. parts of a path that loop the other way count
+// against it
+function calcEnclosedArea(path: Array<Point>): number {
+  var twiceArea = path.reduce((sum, p, i) => {
+    var next = ixLoop(path, i + 1);
+    return sum + p.x * next.y - next.x * p.y;
+  }, 0);
+  return Math.abs(twiceArea) / 2;
+}
+
+// signed curvature (positive turning left) at each point of a path whose
+// points are evenly spaced along it, like interpolatePath gives
+function calcCurvature(path: Array<Point>): Array<number> {
+  var angles = calcAnglesOfPath(path);
+  var spacing = calcLength(path) / path.length;
+  return angles.map(
+    (angle, i) => angleDiff(angle, ixLoop(angles, i - 1)) / spacing
+  );
+}
+
+// places where a path evenly spaced in time (like getPath gives) comes to a
+// point and turns back on itself
+function findCusps(path: Array<Point>): Array<Point> {
+  var steps = path.map((p, i) => euclid(p, ixLoop(path, i + 1)));
+  var meanStep = steps.reduce((sum, step) => sum + step, 0) / steps.length;
+  var angles = calcAnglesOfPath(path);
+  var cusps = [];
+
+  steps.forEach((step, i) => {
+    if (
+      step < CUSP_SPEED_FRACTION * meanStep &&
+      step < ixLoop(steps, i - 1) &&
+      step <= ixLoop(steps, i + 1) &&
+      Math.abs(angleDiff(ixLoop(angles, i + 1), ixLoop(angles, i - 1))) >
+        CUSP_ANGLE
+    ) {
+      var next = ixLoop(path, i + 1);
+      cusps.push({x: (path[i].x + next.x) / 2, y: (path[i].y + next.y) / 2});
+    }
+  });
+
+  return cusps;
+}
+
+// places where a closed path crosses itself
+function findCrossings(path: Array<Point>): Array<Point> {
+  var n = path.length;
+  var segments = path.map((p, i) => [p, ixLoop(path, i + 1)]);
+  var crossings = [];
+
+  for (var i = 0; i < n; i++) {
+    // neighbouring segments share a point, so they can't cross
+    for (var j = i + 2; j < n - (i === 0 ? 1 : 0); j++) {
+      var crossing = calcSegmentIntersection(segments[i], segments[j]);
+      if (crossing) {
+        crossings.push(crossing);
+      }
+    }
+  }
+
+  return crossings;
+}
+
+// circle through three points, or null if they're in a line
+function calcCircle(
+  p1: Point,
+  p2: Point,
+  p3: Point
+): ?{center: Point; radius: number} {
+  var d = 2 * (
+    p1.x * (p2.y - p3.y) + p2.x * (p3.y - p1.y) + p3.x * (p1.y - p2.y)
+  );
+  if (d === 0) {
+    return null;
+  }
+
+  var s1 = p1.x * p1.x + p1.y * p1.y;
+  var s2 = p2.x * p2.x + p2.y * p2.y;
+  var s3 = p3.x * p3.x + p3.y * p3.y;
+  var center = {
+    x: (s1 * (p2.y - p3.y) + s2 * (p3.y - p1.y) + s3 * (p1.y - p2.y)) / d,
+    y: (s1 * (p3.x - p2.x) + s2 * (p1.x - p3.x) + s3 * (p2.x - p1.x)) / d,
+  };
+  return {center, radius: euclid(center, p1)};
+}
+
+// grows a run of points from `start` for as long as fitsRun accepts it.
+// returns the number of points in the longest run that fits
+function growRun(
+  path: Array<Point>,
+  start: number,
+  fitsRun: (run: Array<Point>) => boolean
+): number {
+  var length = 2;
+  while (
+    start + length < path.length &&
+    fitsRun(path.slice(start, start + length + 1))
+  ) {
+    length++;
+  }
+  return length;
+}
+
+// splits a path, whose points are evenly spaced along it, into the stretches
+// that are nearly straight lines or circular arcs. stretches shorter than
+// minLength points aren't reported
+function findStraightsAndArcs(
+  path: Array<Point>,
+  tolerance: number,
+  minLength: number
+): {straights: Array<StraightType>; arcs: Array<ArcType>} {
+  var isStraight = run => run.every(p => calcMinDistFromSegmentToPoint(
+    [run[0], run[run.length - 1]],
+    p
+  ) <= tolerance);
+
+  var fitArc = run => calcCircle(
+    run[0],
+    run[Math.floor(run.length / 2)],
+    run[run.length - 1]
+  );
+  var isArc = run => {
+    var circle = fitArc(run);
+    return !!circle && run.every(
+      p => Math.abs(euclid(p, circle.center) - circle.radius) <= tolerance
+    );
+  };
+
+  // start at the sharpest turn, which can't be in the middle of anything
+  var curvature = calcCurvature(path);
+  var sharpest = 0;
+  curvature.forEach((k, i) => {
+    if (Math.abs(k) > Math.abs(curvature[sharpest])) {
+      sharpest = i;
+    }
+  });
+  var points = path.slice(sharpest).concat(path.slice(0, sharpest + 1));
+
+  // take whichever fits further, so that gentle arcs aren't cut up into
+  // short straights
+  var straights = [];
+  var arcs = [];
+  var i = 0;
+  while (i < points.length - 1) {
+    var straightLength = growRun(points, i, isStraight);
+    var arcLength = growRun(points, i, isArc);
+    var circle = fitArc(points.slice(i, i + arcLength));
+
+    if (straightLength >= minLength && straightLength >= arcLength) {
+      var straight = points.slice(i, i + straightLength);
+      straights.push({
+        start: straight[0],
+        end: straight[straight.length - 1],
+        points: straight,
+      });
+      i += straightLength - 1;
+    } else if (arcLength >= minLength && circle) {
+      arcs.push({
+        center: circle.center,
+        radius: circle.radius,
+        points: points.slice(i, i + arcLength),
+      });
+      i += arcLength - 1;
+    } else {
+      i++;
+    }
+  }
+
+  return {straights, arcs};
+}
+
+function reflectPoint(point: Point, linePoint: Point, angle: number): Point {
+  var ux = Math.cos(angle);
+  var uy = Math.sin(angle);
+  var dx = point.x - linePoint.x;
+  var dy = point.y - linePoint.y;
+  var along = dx * ux + dy * uy;
+  return {
+    x: linePoint.x + 2 * along * ux - dx,
+    y: linePoint.y + 2 * along * uy - dy,
+  };
+}
+
+// the line that a path is closest to being a mirror image about. it goes
+// through the middle of the path, at the angle where reflecting the path
+// moves it least. the error is how far the reflected points end up from the
+// path, on average
+function findSymmetryAxis(path: Array<Point>): SymmetryType {
+  var points = interpolatePath(path, SYMMETRY_POINTS);
+  var segments = points.map((p, i) => [p, ixLoop(points, i + 1)]);
+  var point = {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+  };
+
+  var calcError = angle => points.reduce((sum, p) => {
+    var reflected = reflectPoint(p, point, angle);
+    var minDist = segments.reduce(
+      (min, segment) => Math.min(
+        min,
+        calcMinDistFromSegmentToPoint(segment, reflected)
+      ),
+      Number.MAX_VALUE
+    );
+    return sum + minDist;
+  }, 0) / points.length;
+
+  var step = Math.PI / SYMMETRY_ANGLES;
+  var best = {angle: 0, error: calcError(0)};
+  for (var i = 1; i < SYMMETRY_ANGLES; i++) {
+    var error = calcError(i * step);
+    if (error < best.error) {
+      best = {angle: i * step, error};
+    }
+  }
+
+  // narrow in on the best angle
+  for (i = 0; i < SYMMETRY_REFINEMENTS; i++) {
+    step /= 2;
+    [best.angle - step, best.angle + step].forEach(angle => {
+      var error = calcError(angle);
+      if (error < best.error) {
+        best = {angle, error};
+      }
+    });
+  }
+
+  return {point, angle: best.angle, error: best.error};
+}
+
+// describes the shape of a closed path, like a coupler curve from getPath.
+// the path should be evenly spaced in time, for finding cusps. the rest is
+// measured on points evenly spaced along the path. tolerance is how far
+// points can be from a line or arc and still count as on it
+function analyzeCurve(
+  path: Array<Point>,
+  options?: OptionsType
+): CurveAnalysisType {
+  if (path.length < 3) {
+    throw new Error('paths need at least three points to analyze');
+  }
+
+  var opts = options || {};
+  var numPoints = opts.numPoints || NUM_POINTS;
+  var length = calcLength(path);
+  var tolerance = opts.tolerance || TOLERANCE_FRACTION * length;
+  var minSegmentFraction = opts.minSegmentFraction || MIN_SEGMENT_FRACTION;
+
+  var points = interpolatePath(path, numPoints);
+  var {straights, arcs} = findStraightsAndArcs(
+    points,
+    tolerance,
+    Math.max(3, Math.ceil(minSegmentFraction * numPoints))
+  );
+
+  return {
+    length,
+    area: calcEnclosedArea(path),
+    points,
+    curvature: calcCurvature(points),
+    cusps: findCusps(path),
+    crossings: findCrossings(path),
+    straights,
+    arcs,
+    symmetry: findSymmetryAxis(path),
+  };
+}
+
+module.exports = {
+  analyzeCurve,
+  calcCurvature,
+  calcEnclosedArea,
+  findCrossings,
+  findCusps,
+  findStraightsAndArcs,
+  findSymmetryAxis,
+};
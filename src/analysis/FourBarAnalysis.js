@@ -0,0 +1,159 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+var euclid = require('../math/GeometryUtils').euclid;
+
+type Point = {x: number; y: number};
+
+type FourBarType = {
+  ids: Array<string>;
+  lengths: {
+    ground: number;
+    input: number;
+    coupler: number;
+    output: number;
+  };
+  grashof: boolean;
+  type: string;
+  transmissionAngle: number;
+  minTransmissionAngle: ?number;
+  maxTransmissionAngle: ?number;
+};
+
+// finds loops of four points a-b-c-d where a and d are on the ground, and
+// b and c are each placed by bars. loops are oriented so that a is the end
+// driven by a rotary, if either is
+function findFourBars(spec: Object): Array<Array<string>> {
+  var {points, groundPoints, extenders} = spec;
+  var sliders = spec.sliders || {};
+  var isMoving = id => !groundPoints[id] && !sliders[id];
+  var loops = [];
+  var seen = {};
+
+  Object.keys(groundPoints).forEach(a => {
+    Object.keys(points[a] || {}).filter(isMoving).forEach(b => {
+      Object.keys(points[b]).filter(isMoving).forEach(c => {
+        Object.keys(points[c]).forEach(d => {
+          if (!groundPoints[d] || d === a) {
+            return;
+          }
+
+          var loop = [a, b, c, d];
+          if (extenders[c] && extenders[c].base === d) {
+            loop.reverse();
+          }
+
+          var key = loop.slice().sort().join();
+          if (!seen[key]) {
+            seen[key] = true;
+            loops.push(loop);
+          }
+        });
+      });
+    });
+  });
+
+  return loops;
+}
+
+// classifies a four-bar by the Grashof condition: if the shortest and longest
+// links together are shorter than the other two, the shortest link can turn
+// all the way around, and which link that is decides the type
+function classifyGrashof(
+  ground: number,
+  input: number,
+  coupler: number,
+  output: number
+): {grashof: boolean; type: string} {
+  var lengths = [ground, input, coupler, output];
+  var shortest = Math.min.apply(null, lengths);
+  var longest = Math.max.apply(null, lengths);
+  var others = ground + input + coupler + output - shortest - longest;
+
+  if (shortest + longest > others) {
+    return {grashof: false, type: 'triple-rocker'};
+  } else if (shortest + longest === others) {
+    return {grashof: true, type: 'change-point'};
+  }
+
+  switch (lengths.indexOf(shortest)) {
+    case 0:
+      return {grashof: true, type: 'double-crank'};
+    case 1:
+      return {grashof: true, type: 'crank-rocker'};
+    case 2:
+      return {grashof: true, type: 'double-rocker'};
+    default:
+      return {grashof: true, type: 'rocker-crank'};
+  }
+}
+
+// the angle between the coupler and the output link, where they meet at c
+function calcTransmissionAngle(b: Point, c: Point, d: Point): number {
+  var couplerLen = euclid(c, b);
+  var outputLen = euclid(c, d);
+  var dot = (b.x - c.x) * (d.x - c.x) + (b.y - c.y) * (d.y - c.y);
+  var cos = dot / (couplerLen * outputLen);
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+// finds the four-bar loops of a linkage, classifies them, and works out the
+// range of their transmission angles over a full cycle (or leaves the range
+// null if the linkage can't complete a cycle)
+function analyzeFourBars(linkage: Linkage): Array<FourBarType> {
+  var {spec, positions} = linkage;
+  var loops = findFourBars(spec);
+
+  var movingIDs = {};
+  loops.forEach(([a, b, c, d]) => {
+    movingIDs[b] = true;
+    movingIDs[c] = true;
+  });
+  var paths = loops.length > 0 ?
+    linkage.getPaths(Object.keys(movingIDs)) :
+    null;
+
+  return loops.map(([a, b, c, d]) => {
+    var ground = euclid(positions[a], positions[d]);
+    var input = spec.points[a][b].len;
+    var coupler = spec.points[b][c].len;
+    var output = spec.points[c][d].len;
+    var {grashof, type} = classifyGrashof(ground, input, coupler, output);
+
+    var minTransmissionAngle = null;
+    var maxTransmissionAngle = null;
+    if (paths) {
+      paths[b].forEach((bPos, i) => {
+        var angle = calcTransmissionAngle(bPos, paths[c][i], positions[d]);
+        if (minTransmissionAngle === null || angle < minTransmissionAngle) {
+          minTransmissionAngle = angle;
+        }
+        if (maxTransmissionAngle === null || angle > maxTransmissionAngle) {
+          maxTransmissionAngle = angle;
+        }
+      });
+    }
+
+    return {
+      ids: [a, b, c, d],
+      lengths: {ground, input, coupler, output},
+      grashof,
+      type,
+      transmissionAngle: calcTransmissionAngle(
+        positions[b],
+        positions[c],
+        positions[d]
+      ),
+      minTransmissionAngle,
+      maxTransmissionAngle,
+    };
+  });
+}
+
+module.exports = {
+  analyzeFourBars,
+  calcTransmissionAngle,
+  classifyGrashof,
+  findFourBars,
+};
@@ -0,0 +1,219 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+var euclid = require('../math/GeometryUtils').euclid;
+
+type Point = {x: number; y: number};
+
+type OptionsType = {
+  barTolerance?: number;
+  groundTolerance?: number;
+  numTrials?: number;
+  numSamples?: number;
+  random?: () => number;
+};
+
+// a bar length, or one coordinate of a ground point
+type ParameterType = {
+  type: string;
+  ids: Array<string>;
+  axis?: string;
+};
+
+type SensitivityType = ParameterType & {
+  deviation: number;
+  sensitivity: number;
+};
+
+type ToleranceAnalysisType = {
+  nominal: Array<Point>;
+  deviations: Array<number>;
+  worstDeviation: number;
+  numTrials: number;
+  numFailures: number;
+  sensitivities: Array<SensitivityType>;
+};
+
+var DEFAULT_BAR_TOLERANCE = .05;
+var DEFAULT_GROUND_TOLERANCE = .05;
+var DEFAULT_TRIALS = 100;
+var DEFAULT_SAMPLES = 60;
+
+// the bars and ground coordinates that could be made a little off. bars
+// between ground points (including the ones from rotaries to their reference
+// points) don't move anything, and reference points move with their rotaries
+function findParameters(spec: Object): Array<ParameterType> {
+  var {points, groundPoints, extenders} = spec;
+  var refIDs = {};
+  Object.keys(extenders).forEach(id => {refIDs[extenders[id].ref] = true});
+
+  var params = [];
+  var seen = {};
+  Object.keys(points).forEach(p0id => {
+    seen[p0id] = true;
+    Object.keys(points[p0id]).forEach(p1id => {
+      if (!seen[p1id] && !(groundPoints[p0id] && groundPoints[p1id])) {
+        params.push({type: 'bar', ids: [p0id, p1id]});
+      }
+    });
+  });
+
+  Object.keys(groundPoints).forEach(id => {
+    if (!refIDs[id]) {
+      params.push({type: 'ground', ids: [id], axis: 'x'});
+      params.push({type: 'ground', ids: [id], axis: 'y'});
+    }
+  });
+
+  return params;
+}
+
+// changes one parameter of a spec (in place) by `delta`
+function perturb(spec: Object, param: ParameterType, delta: number): void {
+  var {groundPoints, extenders, rotaries} = spec;
+  if (param.type === 'ground') {
+    var [id] = param.ids;
+    groundPoints[id][param.axis] += delta;
+
+    // rotaries take their reference point with them, so they start at the
+    // same angle
+    if (rotaries[id]) {
+      groundPoints[extenders[rotaries[id]].ref][param.axis] += delta;
+    }
+    return;
+  }
+
+  var [p0id, p1id] = param.ids;
+  var len = spec.points[p0id][p1id].len + delta;
+  spec.points[p0id][p1id].len = len;
+  spec.points[p1id][p0id].len = len;
+
+  if (extenders[p1id] && extenders[p1id].base === p0id) {
+    extenders[p1id].len = len;
+  } else if (extenders[p0id] && extenders[p0id].base === p1id) {
+    extenders[p0id].len = len;
+  }
+
+  // actuators move their whole stroke along with the bar
+  var actuators = spec.actuators || {};
+  [p0id, p1id].forEach(endID => {
+    var actuator = actuators[endID];
+    if (actuator && (actuator.base === p0id || actuator.base === p1id)) {
+      actuator.min += delta;
+      actuator.max += delta;
+    }
+  });
+}
+
+function tracePath(
+  spec: Object,
+  id: string,
+  numSamples: number
+): ?Array<Point> {
+  var linkage = new Linkage(spec);
+  if (!linkage.calculatePositions()) {
+    return null;
+  }
+  return linkage.samplePath(id, {numSamples});
+}
+
+// how far each point of a path is from the same point (in time) of another
+function calcDeviations(
+  path: Array<Point>,
+  nominal: Array<Point>
+): Array<number> {
+  return nominal.map((point, i) => euclid(point, path[i]));
+}
+
+// how much the path a point traces could be off in a real model, whose bars
+// and ground points are each out by up to their tolerance. runs numTrials
+// copies of the linkage, with every part out by a random amount, and reports
+// how far from the nominal path each point of it could end up (in samples
+// evenly spaced in time), the furthest of those, and how many copies
+// couldn't make it round a cycle at all. also nudges each part on its own,
+// to find which ones the path is most sensitive to: the sensitivities are
+// the furthest the path moves per unit the part is out, most sensitive
+// first. parts that break the linkage on their own come first of all
+function analyzeTolerances(
+  spec: Object,
+  id: string,
+  options?: OptionsType
+): ToleranceAnalysisType {
+  var opts = options || {};
+  var barTolerance = typeof opts.barTolerance === 'number' ?
+    opts.barTolerance :
+    DEFAULT_BAR_TOLERANCE;
+  var groundTolerance = typeof opts.groundTolerance === 'number' ?
+    opts.groundTolerance :
+    DEFAULT_GROUND_TOLERANCE;
+  var numTrials = opts.numTrials || DEFAULT_TRIALS;
+  var numSamples = opts.numSamples || DEFAULT_SAMPLES;
+  var random = opts.random || Math.random;
+
+  var copySpec = () => JSON.parse(JSON.stringify(spec));
+  var nominal = tracePath(copySpec(), id, numSamples);
+  if (!nominal) {
+    throw new Error('the linkage has to make it round a cycle');
+  }
+
+  var params = findParameters(spec);
+  var toleranceOf = param =>
+    param.type === 'bar' ? barTolerance : groundTolerance;
+
+  var deviations = nominal.map(() => 0);
+  var numFailures = 0;
+  for (var i = 0; i < numTrials; i++) {
+    var trialSpec = copySpec();
+    params.forEach(param => {
+      perturb(trialSpec, param, (2 * random() - 1) * toleranceOf(param));
+    });
+
+    var path = tracePath(trialSpec, id, numSamples);
+    if (!path) {
+      numFailures++;
+      continue;
+    }
+    calcDeviations(path, nominal).forEach((deviation, j) => {
+      deviations[j] = Math.max(deviations[j], deviation);
+    });
+  }
+
+  var sensitivities = params
+    .filter(param => toleranceOf(param) > 0)
+    .map(param => {
+      var tolerance = toleranceOf(param);
+      var deviation = 0;
+      [tolerance, -tolerance].forEach(delta => {
+        var paramSpec = copySpec();
+        perturb(paramSpec, param, delta);
+        var path = tracePath(paramSpec, id, numSamples);
+        deviation = Math.max(
+          deviation,
+          path ? Math.max.apply(null, calcDeviations(path, nominal)) : Infinity
+        );
+      });
+      var res: Object = {
+        type: param.type,
+        ids: param.ids,
+        deviation,
+        sensitivity: deviation / tolerance,
+      };
+      if (param.axis) {
+        res.axis = param.axis;
+      }
+      return res;
+    })
+    .sort((a, b) => b.sensitivity - a.sensitivity);
+
+  return {
+    nominal,
+    deviations,
+    worstDeviation: Math.max.apply(null, deviations),
+    numTrials,
+    numFailures,
+    sensitivities,
+  };
+}
+
+module.exports = analyzeTolerances;
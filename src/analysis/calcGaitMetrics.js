@@ -0,0 +1,97 @@
+/* @flow */
+'use strict';
+
+type Point = {x: number; y: number};
+
+type GaitMetricsType = {
+  strideLength: number;
+  stepHeight: number;
+  stanceFraction: number;
+  flatness: number;
+  velocityVariation: number;
+  stance: Array<Point>;
+};
+
+// how close to the bottom of the path, as a fraction of the step height, the
+// foot has to be to count as on the ground
+var GROUND_FRACTION = .1;
+
+function calcMean(values: Array<number>): number {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function calcStandardDeviation(values: Array<number>): number {
+  var mean = calcMean(values);
+  return Math.sqrt(calcMean(values.map(v => (v - mean) * (v - mean))));
+}
+
+// the longest stretch of the (closed) path where isOnGround holds, as the
+// index it starts at and how many points it has
+function findLongestRun(
+  isOnGround: Array<boolean>
+): {start: number; length: number} {
+  var n = isOnGround.length;
+  var firstOff = isOnGround.indexOf(false);
+  if (firstOff === -1) {
+    return {start: 0, length: n};
+  }
+
+  // start just after a point in the air, so no run wraps past the start
+  var best = {start: 0, length: 0};
+  var run = null;
+  for (var i = 1; i <= n; i++) {
+    var index = (firstOff + i) % n;
+    if (isOnGround[index]) {
+      run = run || {start: index, length: 0};
+      run.length++;
+      if (run.length > best.length) {
+        best = {start: run.start, length: run.length};
+      }
+    } else {
+      run = null;
+    }
+  }
+  return best;
+}
+
+// numbers about how well a point (like a foot) walks, from the path it traces
+// over a cycle, in evenly spaced steps like getPath gives. the stance is the
+// longest stretch of the path near its bottom:
+//  - strideLength: how far the foot moves sideways during the stance
+//  - stepHeight: how high the foot lifts from the bottom of the path
+//  - stanceFraction: how much of the cycle the foot spends in the stance
+//  - flatness: rms of the foot's height during the stance (0 is flat)
+//  - velocityVariation: standard deviation of the foot's sideways speed
+//    during the stance, over its mean (0 is a steady speed)
+function calcGaitMetrics(path: Array<Point>): GaitMetricsType {
+  if (path.length === 0) {
+    throw new Error('path must have points');
+  }
+
+  var ys = path.map(p => p.y);
+  var minY = Math.min.apply(null, ys);
+  var stepHeight = Math.max.apply(null, ys) - minY;
+  var groundY = minY + GROUND_FRACTION * stepHeight;
+
+  var {start, length} = findLongestRun(ys.map(y => y <= groundY));
+  var stance = [];
+  for (var i = 0; i < length; i++) {
+    stance.push(path[(start + i) % path.length]);
+  }
+
+  var velocities = stance.slice(1).map((p, i) => p.x - stance[i].x);
+  var meanVelocity = velocities.length > 0 ? calcMean(velocities) : 0;
+
+  return {
+    strideLength: Math.abs(stance[stance.length - 1].x - stance[0].x),
+    stepHeight,
+    stanceFraction: length / path.length,
+    flatness: calcStandardDeviation(stance.map(p => p.y)),
+    velocityVariation: meanVelocity === 0 ?
+      0 :
+      calcStandardDeviation(velocities) / Math.abs(meanVelocity),
+    stance,
+  };
+}
+
+module.exports = calcGaitMetrics;
@@ -0,0 +1,128 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+var {angleDiff} = require('../math/GeometryUtils');
+
+type Point = {x: number; y: number};
+type Positions = {[key:string]: Point};
+
+type PointKinematics = {
+  velocity: Point;
+  acceleration: Point;
+  speed: number;
+};
+
+type BarKinematics = {
+  p0id: string;
+  p1id: string;
+  angle: number;
+  angularVelocity: number;
+  angularAcceleration: number;
+};
+
+type KinematicsType = {
+  points: {[key:string]: PointKinematics};
+  bars: Array<BarKinematics>;
+};
+
+var TIME_STEP = 1e-3;
+
+function calcBarAngle(positions: Positions, p0id: string, p1id: string): number {
+  var p0 = positions[p0id];
+  var p1 = positions[p1id];
+  return Math.atan2(p1.y - p0.y, p1.x - p0.x);
+}
+
+// picks three samples for the finite differences. central differences are the
+// most accurate, but near a dead point one side might not be solvable, in
+// which case fall back to one-sided differences
+function findSamples(linkage: Linkage, h: number): Object {
+  var current = linkage.calculatePositionsAtTime(0);
+  if (!current) {
+    throw new Error('linkage is not in a solvable position');
+  }
+
+  var before = linkage.calculatePositionsAtTime(-h);
+  var after = linkage.calculatePositionsAtTime(h);
+  if (before && after) {
+    return {samples: [before, current, after], type: 'central'};
+  }
+
+  var after2 = linkage.calculatePositionsAtTime(2 * h);
+  if (after && after2) {
+    return {samples: [current, after, after2], type: 'forward'};
+  }
+
+  var before2 = linkage.calculatePositionsAtTime(-2 * h);
+  if (before && before2) {
+    return {samples: [before2, before, current], type: 'backward'};
+  }
+
+  throw new Error('linkage cannot move from its current position');
+}
+
+// first and second derivatives from three evenly spaced samples
+function differentiate(
+  values: Array<number>,
+  type: string,
+  h: number
+): {first: number; second: number} {
+  var [v0, v1, v2] = values;
+  var second = (v0 - 2 * v1 + v2) / (h * h);
+
+  var first;
+  if (type === 'central') {
+    first = (v2 - v0) / (2 * h);
+  } else if (type === 'forward') {
+    first = (-3 * v0 + 4 * v1 - v2) / (2 * h);
+  } else {
+    first = (v0 - 4 * v1 + 3 * v2) / (2 * h);
+  }
+
+  return {first, second};
+}
+
+// calculates the velocity and acceleration of every point, and the angular
+// velocity and acceleration of every bar, for the linkage's current input
+// angles and speeds. time is measured so that a rotary at speed 1 turns one
+// radian per unit of time
+function calcKinematics(linkage: Linkage, timeStep?: number): KinematicsType {
+  var h = timeStep || TIME_STEP;
+  var {samples, type} = findSamples(linkage, h);
+  var current = samples[type === 'central' ? 1 : type === 'forward' ? 0 : 2];
+
+  var points = {};
+  Object.keys(current).forEach(id => {
+    var dx = differentiate(samples.map(s => s[id].x), type, h);
+    var dy = differentiate(samples.map(s => s[id].y), type, h);
+
+    points[id] = {
+      velocity: {x: dx.first, y: dy.first},
+      acceleration: {x: dx.second, y: dy.second},
+      speed: Math.sqrt(dx.first * dx.first + dy.first * dy.first),
+    };
+  });
+
+  var bars = linkage.getBarIDs().map(([p0id, p1id]) => {
+    var angle = calcBarAngle(current, p0id, p1id);
+
+    // unwrap the angles around the current one so they can be differenced
+    var angles = samples.map(
+      s => angle + angleDiff(calcBarAngle(s, p0id, p1id), angle)
+    );
+    var res = differentiate(angles, type, h);
+
+    return {
+      p0id,
+      p1id,
+      angle,
+      angularVelocity: res.first,
+      angularAcceleration: res.second,
+    };
+  });
+
+  return {points, bars};
+}
+
+module.exports = calcKinematics;
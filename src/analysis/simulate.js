@@ -0,0 +1,107 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+
+type Point = {x: number; y: number};
+
+type OptionsType = {
+  steps?: number;
+  startTime?: number;
+  endTime?: number;
+  timeStep?: number;
+};
+
+type FrameType = {
+  time: number;
+  positions: {[key:string]: Point};
+  inputAngles: {[key:string]: number};
+  actuatorLengths: {[key:string]: number};
+  forces?: ?Object;
+};
+
+type SimulationType = {
+  frames: Array<FrameType>;
+  lockups: Array<Object>;
+};
+
+function copyPositions(positions: {[key:string]: Point}): Object {
+  var res = {};
+  Object.keys(positions).forEach(id => {
+    res[id] = {x: positions[id].x, y: positions[id].y};
+  });
+  return res;
+}
+
+function makeFrame(linkage: Linkage, time: number): FrameType {
+  var {extenders, rotaries, points} = linkage.spec;
+  var actuators = linkage.spec.actuators || {};
+
+  var inputAngles = {};
+  Object.keys(rotaries).forEach(rotID => {
+    inputAngles[rotID] = extenders[rotaries[rotID]].angle;
+  });
+
+  var actuatorLengths = {};
+  Object.keys(actuators).forEach(id => {
+    actuatorLengths[id] = points[actuators[id].base][id].len;
+  });
+
+  var frame: FrameType = {
+    time,
+    positions: copyPositions(linkage.positions),
+    inputAngles,
+    actuatorLengths,
+  };
+
+  // bar forces and input torques, for linkages with loads on them
+  var loads = linkage.spec.loads;
+  if (loads && Object.keys(loads).length > 0) {
+    frame.forces = linkage.calculateForces();
+  }
+
+  return frame;
+}
+
+// runs a linkage without drawing it, the same way the editor animates it
+// (inputs reverse instead of locking up). the spec isn't modified. by default
+// it covers one full cycle, in the editor's step size. give `steps`, or a time
+// range with `startTime` and `endTime`, to simulate something else. time is
+// measured so that a rotary at speed 1 turns one radian per unit of time
+function simulate(spec: Object, options?: OptionsType): SimulationType {
+  var opts = options || {};
+  var startTime = opts.startTime || 0;
+
+  var linkage = new Linkage(JSON.parse(JSON.stringify(spec)));
+  if (opts.timeStep) {
+    linkage.speed = opts.timeStep;
+  }
+  if (startTime) {
+    linkage.spec = linkage.getSpecAtTime(startTime, true);
+  }
+
+  if (!linkage.calculatePositions()) {
+    throw new Error('linkage cannot be assembled at the start time');
+  }
+
+  var steps = opts.steps;
+  if (typeof steps !== 'number') {
+    steps = typeof opts.endTime === 'number'
+      ? Math.round((opts.endTime - startTime) / linkage.speed) + 1
+      : linkage.getStepsPerCycle();
+  }
+
+  var frames = [];
+  var lockups = [];
+  for (var i = 0; i < steps; i++) {
+    var time = startTime + i * linkage.speed;
+    if (i > 0 && !linkage.tryRotatingLinkageInput()) {
+      lockups.push({time, lockup: linkage.lastLockup});
+    }
+    frames.push(makeFrame(linkage, time));
+  }
+
+  return {frames, lockups};
+}
+
+module.exports = simulate;
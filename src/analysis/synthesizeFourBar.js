@@ -0,0 +1,520 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+var Geom = require('../math/GeometryUtils');
+var classifyGrashof = require('./FourBarAnalysis').classifyGrashof;
+
+type Point = {x: number; y: number};
+
+// where the coupler point should be, and which way (in radians) the coupler
+// should face there
+type PoseType = {x: number; y: number; angle: number};
+
+type OptionsType = {
+  numSamples?: number;
+  maxCandidates?: number;
+};
+
+// one side of a four-bar, as it is at the first pose: w goes from its ground
+// pivot to its moving pivot, and z from there to the coupler point. rotations
+// are how far w has turned at each pose
+type DyadType = {w: Point; z: Point; rotations: Array<number>};
+
+type CandidateType = {
+  spec: Object;
+  id: string;
+  rotaryID: string;
+  error: number;
+  inOrder: boolean;
+  fullRotation: boolean;
+  type: string;
+};
+
+// free crank rotations tried for three poses, or samples along the burmester
+// curves for four
+var DEFAULT_SAMPLES = 8;
+var DEFAULT_MAX_CANDIDATES = 10;
+// five poses need the curves sampled finely enough to find where they cross
+var FIVE_POSE_SAMPLES = 720;
+var ROOT_ITERATIONS = 60;
+// relative to the distance between the poses, how far a candidate can miss
+// them, and how short and long its links can be
+var ERROR_TOLERANCE = 1e-6;
+var MIN_LINK = .05;
+var MAX_LINK = 20;
+
+// points double as complex numbers
+var ORIGIN = {x: 0, y: 0};
+
+function add(a: Point, b: Point): Point {
+  return {x: a.x + b.x, y: a.y + b.y};
+}
+
+function sub(a: Point, b: Point): Point {
+  return {x: a.x - b.x, y: a.y - b.y};
+}
+
+function mul(a: Point, b: Point): Point {
+  return {x: a.x * b.x - a.y * b.y, y: a.x * b.y + a.y * b.x};
+}
+
+function div(a: Point, b: Point): Point {
+  var d = b.x * b.x + b.y * b.y;
+  return {x: (a.x * b.x + a.y * b.y) / d, y: (a.y * b.x - a.x * b.y) / d};
+}
+
+function abs(a: Point): number {
+  return Geom.euclid(ORIGIN, a);
+}
+
+function arg(a: Point): number {
+  return Math.atan2(a.y, a.x);
+}
+
+function rotate(angle: number): Point {
+  return {x: Math.cos(angle), y: Math.sin(angle)};
+}
+
+// e^(i * angle) - 1: what multiplying by a rotation adds to a vector
+function turn(angle: number): Point {
+  return {x: Math.cos(angle) - 1, y: Math.sin(angle)};
+}
+
+// the standard form: a dyad reaches pose j when
+//   w * turn(rotation j) + z * turn(coupler rotation j) = displacement j
+// with everything measured from the first pose. these are the known terms,
+// for each pose after the first
+function calcDisplacements(
+  poses: Array<PoseType>
+): {displacements: Array<Point>; couplerTurns: Array<Point>} {
+  var first = poses[0];
+  var rest = poses.slice(1);
+  return {
+    displacements: rest.map(pose => sub(pose, first)),
+    couplerTurns: rest.map(pose => turn(pose.angle - first.angle)),
+  };
+}
+
+// solves the standard form for w and z from two of the poses, or returns
+// null if they don't pin them down
+function solveDyad(
+  rotations: Array<number>,
+  knowns: {displacements: Array<Point>; couplerTurns: Array<Point>},
+  j: number,
+  k: number
+): ?DyadType {
+  var {displacements, couplerTurns} = knowns;
+  var a1 = turn(rotations[j]);
+  var a2 = turn(rotations[k]);
+  var b1 = couplerTurns[j];
+  var b2 = couplerTurns[k];
+  var d1 = displacements[j];
+  var d2 = displacements[k];
+
+  var det = sub(mul(a1, b2), mul(a2, b1));
+  if (abs(det) < 1e-12) {
+    return null;
+  }
+
+  return {
+    w: div(sub(mul(d1, b2), mul(d2, b1)), det),
+    z: div(sub(mul(a1, d2), mul(a2, d1)), det),
+    rotations: [0].concat(rotations),
+  };
+}
+
+// with three poses, the crank can be given any two rotations, and each pair
+// makes a dyad
+function findThreePoseDyads(
+  knowns: Object,
+  numSamples: number
+): Array<DyadType> {
+  var angles = [];
+  for (var i = 1; i < numSamples; i++) {
+    angles.push(2 * Math.PI * i / numSamples);
+  }
+
+  var dyads = [];
+  angles.forEach(rotation1 => {
+    angles.forEach(rotation2 => {
+      var dyad = rotation1 !== rotation2 &&
+        solveDyad([rotation1, rotation2], knowns, 0, 1);
+      if (dyad) {
+        dyads.push(dyad);
+      }
+    });
+  });
+  return dyads;
+}
+
+// with four poses, the three equations for w and z only have a solution when
+// their determinant is zero, which once it's expanded along the crank's
+// column says
+//   c1 * e^(i * r1) + c2 * e^(i * r2) + c3 * e^(i * r3) = c1 + c2 + c3
+// so picking r1 leaves the other two terms to close a triangle, which they
+// can do two ways (or none). sweeping r1 traces out the burmester curves.
+// the dyads are returned for each way, null where w and z can't be solved for
+function findFourPoseDyads(
+  knowns: Object,
+  rotation1: number
+): Array<?DyadType> {
+  var {displacements: [d1, d2, d3], couplerTurns: [b1, b2, b3]} = knowns;
+  var c1 = sub(mul(b2, d3), mul(b3, d2));
+  var c2 = sub(mul(b3, d1), mul(b1, d3));
+  var c3 = sub(mul(b1, d2), mul(b2, d1));
+
+  var target = sub(add(add(c1, c2), c3), mul(c1, rotate(rotation1)));
+  var corners;
+  try {
+    corners = Geom.calcPointFromTriangle(ORIGIN, target, abs(c2), abs(c3));
+  } catch (e) {
+    return [];
+  }
+
+  return [corners.sol1, corners.sol2].map(corner => solveDyad(
+    [rotation1, arg(corner) - arg(c2), arg(sub(target, corner)) - arg(c3)],
+    knowns,
+    0,
+    1
+  ));
+}
+
+// how far a dyad from the first four poses is from reaching the fifth. it
+// can only get there if w can turn to where the fifth pose needs it, ie if
+//   |displacement 4 - z * turn(coupler rotation 4) + w| = |w|
+function calcFifthPoseMiss(dyad: DyadType, knowns: Object): number {
+  var needed = add(
+    sub(knowns.displacements[3], mul(dyad.z, knowns.couplerTurns[3])),
+    dyad.w
+  );
+  return abs(needed) - abs(dyad.w);
+}
+
+function finishFifthPose(dyad: DyadType, knowns: Object): DyadType {
+  var needed = add(
+    sub(knowns.displacements[3], mul(dyad.z, knowns.couplerTurns[3])),
+    dyad.w
+  );
+  return {
+    w: dyad.w,
+    z: dyad.z,
+    rotations: dyad.rotations.concat([arg(needed) - arg(dyad.w)]),
+  };
+}
+
+// with five poses there are at most four dyads (the burmester points): they
+// are where the curves for the first four poses also reach the fifth, found
+// by sweeping along each way of closing the triangle and refining wherever
+// the miss changes sign
+function findFivePoseDyads(
+  knowns: Object,
+  scale: number
+): Array<DyadType> {
+  var step = 2 * Math.PI / FIVE_POSE_SAMPLES;
+  var missAt = (rotation1, branch) => {
+    var dyad = findFourPoseDyads(knowns, rotation1)[branch];
+    return dyad ? calcFifthPoseMiss(dyad, knowns) : null;
+  };
+
+  var dyads = [];
+  [0, 1].forEach(branch => {
+    for (var i = 0; i < FIVE_POSE_SAMPLES; i++) {
+      // rotation1 never lands on zero, where w and z aren't defined
+      var lo = (i + .5) * step;
+      var hi = lo + step;
+      var loMiss = missAt(lo, branch);
+      var hiMiss = missAt(hi, branch);
+      if (loMiss === null || hiMiss === null || loMiss * hiMiss > 0) {
+        continue;
+      }
+
+      var loPositive = loMiss > 0;
+      for (var j = 0; j < ROOT_ITERATIONS; j++) {
+        var mid = (lo + hi) / 2;
+        var midMiss = missAt(mid, branch);
+        if (midMiss === null) {
+          break;
+        }
+        if ((midMiss > 0) === loPositive) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+
+      var dyad = findFourPoseDyads(knowns, lo)[branch];
+      // a sign change across a pole isn't a root
+      if (
+        dyad &&
+        Math.abs(calcFifthPoseMiss(dyad, knowns)) < ERROR_TOLERANCE * scale
+      ) {
+        dyads.push(finishFifthPose(dyad, knowns));
+      }
+    }
+  });
+  return dyads;
+}
+
+// whether the crank passes through the poses in order, turning one way or
+// the other. returns the direction it turns, or 0 if neither works
+function findDirection(rotations: Array<number>): number {
+  var increasing = (turns: Array<number>) =>
+    turns.every((t, i) => i === 0 || t > turns[i - 1]);
+
+  if (increasing(rotations.map(Geom.wrapAngle))) {
+    return 1;
+  } else if (increasing(rotations.map(r => Geom.wrapAngle(-r)))) {
+    return -1;
+  }
+  return 0;
+}
+
+function addSolution(
+  solutionMap: Object,
+  p1id: string,
+  p2id: string,
+  p3id: string,
+  solutionIndex: number
+): void {
+  [[p1id, p2id, solutionIndex], [p2id, p1id, solutionIndex ? 0 : 1]].forEach(
+    ([a, b, index]) => {
+      solutionMap[a] = solutionMap[a] || {};
+      solutionMap[a][b] = solutionMap[a][b] || {};
+      solutionMap[a][b][p3id] = index;
+    }
+  );
+}
+
+// which solution of the triangle on p1 and p2 puts the third point at p3
+function findSolutionIndex(p1: Point, p2: Point, p3: Point): number {
+  var res = Geom.calcPointFromTriangle(
+    p1,
+    p2,
+    Geom.euclid(p1, p3),
+    Geom.euclid(p2, p3)
+  );
+  return Geom.euclid(res.sol1, p3) < Geom.euclid(res.sol2, p3) ? 0 : 1;
+}
+
+// a four-bar in its first pose, laid out like the ones drawn in the editor:
+// p1 is the crank's ground pivot (with p0 as its reference) and p2 the end
+// of the crank, p3 and p4 are the rocker's, and p5 is the coupler point
+function makeSpec(
+  crank: DyadType,
+  rocker: DyadType,
+  pose: PoseType,
+  direction: number
+): Object {
+  var b = sub(pose, crank.z);
+  var a = sub(b, crank.w);
+  var c = sub(pose, rocker.z);
+  var d = sub(c, rocker.w);
+
+  var points = {p0: {}, p1: {}, p2: {}, p3: {}, p4: {}, p5: {}};
+  var addBar = (p0id, p1id, len) => {
+    points[p0id][p1id] = {len};
+    points[p1id][p0id] = {len};
+  };
+  addBar('p0', 'p1', 1);
+  addBar('p1', 'p2', abs(crank.w));
+  addBar('p2', 'p4', Geom.euclid(b, c));
+  addBar('p3', 'p4', abs(rocker.w));
+  addBar('p2', 'p5', abs(crank.z));
+  addBar('p4', 'p5', abs(rocker.z));
+
+  var solutionMap = {};
+  addSolution(solutionMap, 'p0', 'p2', 'p1', 0);
+  addSolution(solutionMap, 'p2', 'p3', 'p4', findSolutionIndex(b, d, c));
+  addSolution(solutionMap, 'p2', 'p4', 'p5', findSolutionIndex(b, c, pose));
+
+  return {
+    points,
+    extenders: {
+      p2: {
+        base: 'p1',
+        ref: 'p0',
+        angle: arg(crank.w),
+        len: abs(crank.w),
+        speed: direction || 1,
+      },
+    },
+    rotaries: {p1: 'p2'},
+    groundPoints: {
+      p0: {x: a.x + 1, y: a.y},
+      p1: a,
+      p3: d,
+    },
+    solutionMap,
+  };
+}
+
+// the furthest the coupler point or either moving pivot ends up from where
+// each pose puts them, once the crank has turned there
+function calcError(
+  linkage: Linkage,
+  crank: DyadType,
+  rocker: DyadType,
+  poses: Array<PoseType>
+): number {
+  var startAngle = arg(crank.w);
+  var error = 0;
+  for (var i = 0; i < poses.length; i++) {
+    var positions = linkage.calculatePositionsAtInputAngle(
+      'p1',
+      startAngle + crank.rotations[i]
+    );
+    if (!positions) {
+      return Infinity;
+    }
+
+    var coupler = rotate(poses[i].angle - poses[0].angle);
+    error = Math.max(
+      error,
+      Geom.euclid(positions.p5, poses[i]),
+      Geom.euclid(positions.p2, sub(poses[i], mul(crank.z, coupler))),
+      Geom.euclid(positions.p4, sub(poses[i], mul(rocker.z, coupler)))
+    );
+  }
+  return error;
+}
+
+// tries a pair of dyads as a four-bar driven by the first, returning null if
+// it's degenerate or doesn't reach the poses
+function makeCandidate(
+  crank: DyadType,
+  rocker: DyadType,
+  poses: Array<PoseType>,
+  scale: number
+): ?CandidateType {
+  var groundLen = abs(sub(add(crank.w, crank.z), add(rocker.w, rocker.z)));
+  var couplerLen = abs(sub(crank.z, rocker.z));
+  var lengths = [
+    groundLen,
+    abs(crank.w),
+    couplerLen,
+    abs(rocker.w),
+  ];
+  var isReasonable = len => len >= MIN_LINK * scale && len <= MAX_LINK * scale;
+  if (
+    !lengths.every(isReasonable) ||
+    abs(crank.z) > MAX_LINK * scale ||
+    abs(rocker.z) > MAX_LINK * scale
+  ) {
+    return null;
+  }
+
+  var direction = findDirection(crank.rotations);
+  var spec;
+  try {
+    spec = makeSpec(crank, rocker, poses[0], direction);
+  } catch (e) {
+    // the pivots are on top of each other
+    return null;
+  }
+  var linkage = new Linkage(spec);
+  if (!linkage.calculatePositions()) {
+    return null;
+  }
+
+  var error = calcError(linkage, crank, rocker, poses);
+  if (!(error <= ERROR_TOLERANCE * scale)) {
+    return null;
+  }
+
+  var {type} = classifyGrashof.apply(null, lengths);
+  return {
+    spec,
+    id: 'p5',
+    rotaryID: 'p1',
+    error,
+    inOrder: direction !== 0,
+    fullRotation: type === 'crank-rocker' || type === 'double-crank',
+    type,
+  };
+}
+
+// the size of the problem, which lengths are measured against
+function calcScale(poses: Array<PoseType>): number {
+  var scale = 0;
+  poses.forEach(p1 => poses.forEach(p2 => {
+    scale = Math.max(scale, Geom.euclid(p1, p2));
+  }));
+  return scale;
+}
+
+// classical precision point synthesis of a four-bar whose coupler point
+// passes through three, four or five poses, with the coupler facing the way
+// each pose says. each side of the four-bar is a dyad that reaches every
+// pose: for three poses there are infinitely many, so a grid of them is
+// tried; for four they lie along the burmester curves, which are sampled; and
+// for five there are at most four, the burmester points. pairs of them make
+// the candidates, in the linkage spec format, best first: cranks that pass
+// through the poses in order and can turn all the way round, then the most
+// compact. each spec can be loaded as it is, or handed to a LinkageOptObj
+// as a starting point for optimizing
+function synthesizeFourBar(
+  poses: Array<PoseType>,
+  options?: OptionsType
+): Array<CandidateType> {
+  var {
+    numSamples = DEFAULT_SAMPLES,
+    maxCandidates = DEFAULT_MAX_CANDIDATES,
+  } = options || {};
+
+  if (poses.length < 3 || poses.length > 5) {
+    throw new Error('synthesis needs three, four or five poses');
+  }
+  var scale = calcScale(poses);
+  if (scale === 0) {
+    throw new Error('poses must be in different places');
+  }
+
+  var knowns = calcDisplacements(poses);
+  var dyads = [];
+  if (poses.length === 3) {
+    dyads = findThreePoseDyads(knowns, numSamples);
+  } else if (poses.length === 4) {
+    for (var i = 0; i < numSamples; i++) {
+      var rotation1 = 2 * Math.PI * (i + .5) / numSamples;
+      findFourPoseDyads(knowns, rotation1).forEach(dyad => {
+        if (dyad) {
+          dyads.push(dyad);
+        }
+      });
+    }
+  } else {
+    dyads = findFivePoseDyads(knowns, scale);
+  }
+
+  var candidates = [];
+  dyads.forEach((crank, i) => {
+    dyads.forEach((rocker, j) => {
+      var candidate = i !== j && makeCandidate(crank, rocker, poses, scale);
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    });
+  });
+
+  var rank = candidate =>
+    (candidate.inOrder ? 0 : 2) + (candidate.fullRotation ? 0 : 1);
+  var size = candidate => Object.keys(candidate.spec.points).reduce(
+    (sum, id) => sum + Object.keys(candidate.spec.points[id]).reduce(
+      (barSum, adj) => barSum + candidate.spec.points[id][adj].len,
+      0
+    ),
+    0
+  );
+  return candidates
+    .map(candidate => ({
+      candidate,
+      rank: rank(candidate),
+      size: size(candidate),
+    }))
+    .sort((a, b) => a.rank - b.rank || a.size - b.size)
+    .slice(0, maxCandidates)
+    .map(({candidate}) => candidate);
+}
+
+module.exports = synthesizeFourBar;
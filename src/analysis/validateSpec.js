@@ -0,0 +1,325 @@
+/* @flow */
+'use strict';
+
+type ValidationError = {
+  type: string;
+  ids: Array<string>;
+  message: string;
+};
+
+type ValidationType = {
+  valid: boolean;
+  mobility: number;
+  inputs: number;
+  errors: Array<ValidationError>;
+};
+
+var REQUIRED_FIELDS = ['points', 'groundPoints', 'extenders', 'rotaries'];
+
+function makeError(type: string, ids: Array<string>, message: string) {
+  return {type, ids, message};
+}
+
+function checkBars(spec: Object, errors: Array<ValidationError>): void {
+  var {points} = spec;
+
+  Object.keys(points).forEach(p0id => {
+    Object.keys(points[p0id]).forEach(p1id => {
+      var len = points[p0id][p1id].len;
+
+      if (!points[p1id] || !points[p1id][p0id]) {
+        errors.push(makeError(
+          'MISSING_BAR',
+          [p0id, p1id],
+          `bar from ${p0id} to ${p1id} has no matching bar back`
+        ));
+      } else if (points[p1id][p0id].len !== len && p0id < p1id) {
+        errors.push(makeError(
+          'ASYMMETRIC_BAR',
+          [p0id, p1id],
+          `bar between ${p0id} and ${p1id} has two lengths: ` +
+            `${len} and ${points[p1id][p0id].len}`
+        ));
+      }
+
+      if (typeof len !== 'number' || !(len > 0)) {
+        errors.push(makeError(
+          'INVALID_BAR_LENGTH',
+          [p0id, p1id],
+          `bar from ${p0id} to ${p1id} has an invalid length: ${len}`
+        ));
+      }
+    });
+  });
+}
+
+function checkInputs(spec: Object, errors: Array<ValidationError>): void {
+  var {points, groundPoints, extenders, rotaries} = spec;
+
+  Object.keys(groundPoints).forEach(id => {
+    if (!points[id]) {
+      errors.push(makeError(
+        'MISSING_POINT',
+        [id],
+        `ground point ${id} is not one of the linkage's points`
+      ));
+    }
+  });
+
+  Object.keys(rotaries).forEach(rotID => {
+    var extID = rotaries[rotID];
+    var extender = extenders[extID];
+
+    if (!extender) {
+      errors.push(makeError(
+        'ROTARY_WITHOUT_EXTENDER',
+        [rotID],
+        `rotary ${rotID} does not turn anything`
+      ));
+    } else if (extender.base !== rotID) {
+      errors.push(makeError(
+        'ROTARY_WITHOUT_EXTENDER',
+        [rotID, extID],
+        `rotary ${rotID} turns ${extID}, which turns around ${extender.base}`
+      ));
+    } else if (!extender.ref || !points[extender.ref]) {
+      errors.push(makeError(
+        'ROTARY_WITHOUT_REF',
+        [rotID, extID],
+        `rotary ${rotID} has no reference point to measure its angle from`
+      ));
+    }
+  });
+
+  var cams = spec.cams || {};
+  Object.keys(cams).forEach(id => {
+    if (!rotaries[cams[id].rotary]) {
+      errors.push(makeError(
+        'CAM_WITHOUT_ROTARY',
+        [id],
+        `${id} follows a cam on ${cams[id].rotary}, which is not a rotary`
+      ));
+    }
+  });
+
+  Object.keys(extenders).forEach(extID => {
+    var extender = extenders[extID];
+    if (rotaries[extender.base] !== extID) {
+      errors.push(makeError(
+        'EXTENDER_WITHOUT_ROTARY',
+        [extID],
+        `${extID} is turned around ${extender.base}, which is not a rotary`
+      ));
+    }
+  });
+}
+
+function checkGears(spec: Object, errors: Array<ValidationError>): void {
+  var {rotaries} = spec;
+  var gears = spec.gears || {};
+
+  Object.keys(gears).forEach(rotID => {
+    var gear = gears[rotID];
+    if (!rotaries[rotID] || !rotaries[gear.driver]) {
+      errors.push(makeError(
+        'INVALID_GEAR',
+        [rotID, gear.driver],
+        `${rotID} is geared to ${gear.driver}, but they aren't both rotaries`
+      ));
+    } else if (typeof gear.ratio !== 'number' || gear.ratio === 0) {
+      errors.push(makeError(
+        'INVALID_GEAR',
+        [rotID, gear.driver],
+        `gear from ${gear.driver} to ${rotID} has an invalid ratio`
+      ));
+    }
+
+    // following the drivers has to end at a rotary that isn't geared
+    var seen = {};
+    var id = rotID;
+    while (gears[id] && !seen[id]) {
+      seen[id] = true;
+      id = gears[id].driver;
+    }
+    if (gears[id]) {
+      errors.push(makeError(
+        'GEAR_LOOP',
+        Object.keys(seen),
+        `${rotID} is geared in a loop, so nothing drives it`
+      ));
+    }
+  });
+}
+
+// walks through the points in the same order the linkage solves them (without
+// any geometry), to find points that can't be placed, or that are missing
+// the solution that says which way their triangle goes
+function checkSolvability(spec: Object, errors: Array<ValidationError>): void {
+  var {points, groundPoints, extenders} = spec;
+  var sliders = spec.sliders || {};
+  var cams = spec.cams || {};
+  var solutionMap = spec.solutionMap || {};
+  var known = {};
+
+  var idList = Object.keys(points);
+  var oldLength;
+
+  do {
+    oldLength = idList.length;
+    idList = idList.filter(id => {
+      var knownAdjacents = Object.keys(points[id]).filter(adj => known[adj]);
+
+      if (groundPoints[id]) {
+        known[id] = true;
+      } else if (extenders[id]) {
+        known[id] = !!(known[extenders[id].base] && known[extenders[id].ref]);
+      } else if (cams[id]) {
+        var camExtID = spec.rotaries[cams[id].rotary];
+        known[id] = !!(camExtID && known[camExtID]);
+      } else if (sliders[id]) {
+        known[id] = !!(
+          known[sliders[id].base] &&
+          (!sliders[id].ref || known[sliders[id].ref]) &&
+          knownAdjacents.length >= 1
+        );
+      } else if (knownAdjacents.length >= 2) {
+        var [adj0, adj1] = knownAdjacents;
+        var solutions = solutionMap[adj0] && solutionMap[adj0][adj1];
+
+        if (!solutions || typeof solutions[id] !== 'number') {
+          errors.push(makeError(
+            'MISSING_SOLUTION',
+            [id, adj0, adj1],
+            `${id} is placed from ${adj0} and ${adj1}, but there is no ` +
+              `solution saying which side of them it goes on`
+          ));
+        }
+        known[id] = true;
+      }
+
+      return !known[id];
+    });
+
+    if (idList.length > 0 && idList.length === oldLength) {
+      // like the linkage, fall back to placing the rest together, which
+      // needs at least two bars for every point
+      var together = idList.filter(
+        id => !extenders[id] && !sliders[id] && !cams[id]
+      );
+      var numBars = 0;
+      together.forEach(p0id => {
+        Object.keys(points[p0id]).forEach(p1id => {
+          var isTogether = together.indexOf(p1id) !== -1;
+          if (known[p1id] || (isTogether && p0id < p1id)) {
+            numBars++;
+          }
+        });
+      });
+
+      if (together.length > 0 && numBars >= 2 * together.length) {
+        together.forEach(id => {known[id] = true});
+        idList = idList.filter(id => !known[id]);
+      }
+    }
+  } while (idList.length > 0 && idList.length < oldLength);
+
+  idList.forEach(id => {
+    var numBars = Object.keys(points[id]).length;
+    var numNeeded = sliders[id] ? 1 : 2;
+
+    var isDriven = groundPoints[id] || extenders[id] || cams[id];
+    if (!isDriven && numBars < numNeeded) {
+      errors.push(makeError(
+        'DANGLING_POINT',
+        [id],
+        `${id} only has ${numBars} bar(s), so it can't be placed`
+      ));
+    } else {
+      errors.push(makeError(
+        'UNSOLVABLE_POINT',
+        [id],
+        `${id} can't be placed from the points around it`
+      ));
+    }
+  });
+}
+
+// counts degrees of freedom with the Gruebler/Kutzbach criterion. since bars
+// here are binary links pinned at both ends, it comes down to two degrees of
+// freedom per moving point, minus one for each bar and slider constraining
+// them, and two for each cam follower. rotaries and actuators are the inputs,
+// so their angle and length aren't counted as constraints
+function calcMobility(spec: Object): number {
+  var {points, groundPoints} = spec;
+  var sliders = spec.sliders || {};
+  var actuators = spec.actuators || {};
+
+  var isActuator = (p0id, p1id) =>
+    (actuators[p1id] && actuators[p1id].base === p0id) ||
+    (actuators[p0id] && actuators[p0id].base === p1id);
+
+  var movingIDs = Object.keys(points).filter(id => !groundPoints[id]);
+  var numBars = 0;
+  Object.keys(points).forEach(p0id => {
+    Object.keys(points[p0id]).forEach(p1id => {
+      var moving = !groundPoints[p0id] || !groundPoints[p1id];
+      // each bar is listed from both ends
+      if (moving && p0id < p1id && !isActuator(p0id, p1id)) {
+        numBars++;
+      }
+    });
+  });
+
+  var numFollowers = Object.keys(spec.cams || {}).length;
+  return 2 * movingIDs.length - numBars - Object.keys(sliders).length -
+    2 * numFollowers;
+}
+
+function validateSpec(spec: Object): ValidationType {
+  var errors = [];
+
+  var missing = REQUIRED_FIELDS.filter(
+    field => !spec || typeof spec[field] !== 'object' || !spec[field]
+  );
+  if (missing.length > 0) {
+    return {
+      valid: false,
+      mobility: 0,
+      inputs: 0,
+      errors: missing.map(field => makeError(
+        'MISSING_FIELD',
+        [],
+        `spec is missing its ${field}`
+      )),
+    };
+  }
+
+  checkBars(spec, errors);
+  checkInputs(spec, errors);
+  checkGears(spec, errors);
+  checkSolvability(spec, errors);
+
+  var mobility = calcMobility(spec);
+  var inputs = Object.keys(spec.extenders).length +
+    Object.keys(spec.actuators || {}).length;
+
+  if (mobility > inputs) {
+    errors.push(makeError(
+      'UNDER_CONSTRAINED',
+      [],
+      `linkage has ${mobility} degree(s) of freedom, but only ${inputs} ` +
+        `input(s) to drive them`
+    ));
+  } else if (mobility < inputs) {
+    errors.push(makeError(
+      'OVER_CONSTRAINED',
+      [],
+      `linkage has ${mobility} degree(s) of freedom, which can't all be ` +
+        `driven by its ${inputs} input(s)`
+    ));
+  }
+
+  return {valid: errors.length === 0, mobility, inputs, errors};
+}
+
+module.exports = validateSpec;
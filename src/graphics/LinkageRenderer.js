@@ -7,6 +7,7 @@ type OptionsType = {
   pointRadius?: number;
   lineWidth?: number;
   drawPoints?: boolean;
+  fontSize?: number;
 };
 
 type Point = {x: number; y: number};
@@ -17,6 +18,47 @@ var LINE_COLOR = 'darkGray';
 var BACKGROUND_COLOR = 'white';
 var POINT_RADIUS = 4;
 var LINE_WIDTH = 4;
+var FONT_SIZE = 12;
+var CAM_OPTIONS = {
+  lineColor: 'tan',
+  lineWidth: 2,
+};
+var LOAD_OPTIONS = {
+  lineColor: 'purple',
+  pointColor: 'purple',
+  lineWidth: 2,
+  pointRadius: 2,
+  drawPoints: true,
+};
+var INTERFERENCE_OPTIONS = {
+  lineColor: 'orangeRed',
+  lineWidth: 6,
+};
+var TENSION_COLOR = 'red';
+var COMPRESSION_COLOR = 'blue';
+var MAX_FORCE_WIDTH = 6;
+var ACTUATOR_OPTIONS = {
+  lineColor: 'steelBlue',
+};
+var FOUR_BAR_COLORS = {
+  'crank-rocker': 'green',
+  'rocker-crank': 'green',
+  'double-crank': 'blue',
+  'double-rocker': 'orange',
+  'change-point': 'purple',
+  'triple-rocker': 'red',
+};
+var RAD_TO_DEG = 180 / Math.PI;
+var PANEL_MARGIN = 10;
+var PANEL_LINE_HEIGHT = 1.5;
+var RAIL_OPTIONS = {
+  lineColor: 'lightGray',
+  lineWidth: 2,
+};
+var BAND_COLOR = 'lavender';
+// narrowest a tolerance band is drawn, in pixels, so that it's still there
+// where the path can't move at all
+var MIN_BAND_WIDTH = 1;
 
 function getOptions(opts: ?OptionsType): OptionsType {
   opts = {
@@ -24,6 +66,7 @@ function getOptions(opts: ?OptionsType): OptionsType {
     lineColor: (opts && opts.lineColor) ? opts.lineColor : LINE_COLOR,
     pointRadius: (opts && opts.pointRadius) ? opts.pointRadius : POINT_RADIUS,
     lineWidth: (opts && opts.lineWidth) ? opts.lineWidth : LINE_WIDTH,
+    fontSize: (opts && opts.fontSize) ? opts.fontSize : FONT_SIZE,
   };
 
   opts.pointRadius = opts.pointRadius / SCALE;
@@ -91,6 +134,51 @@ class CanvasRenderer {
     this.ctx.restore();
   }
 
+  drawArc(
+    center: Point,
+    radius: number,
+    startAngle: number,
+    endAngle: number,
+    options?: ?OptionsType
+  ) {
+    var {lineColor, lineWidth} = getOptions(options);
+    this.ctx.save();
+    this.ctx.strokeStyle = lineColor;
+    this.ctx.lineWidth = lineWidth;
+    this.ctx.beginPath();
+    this.ctx.arc(center.x, center.y, radius, startAngle, endAngle, false);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  // text is drawn at a constant size in pixels, and the right way up despite
+  // the canvas being flipped
+  drawText(text: string, point: Point, options?: ?OptionsType) {
+    var {pointColor, fontSize} = getOptions(options);
+    this.ctx.save();
+    this.ctx.translate(point.x, point.y);
+    this.ctx.scale(1 / SCALE, -1 / SCALE);
+    this.ctx.fillStyle = pointColor;
+    this.ctx.font = fontSize + 'px sans-serif';
+    this.ctx.fillText(text, 0, 0);
+    this.ctx.restore();
+  }
+
+  // lines of text in the top left corner of the canvas, whatever is drawn
+  // where
+  drawPanel(lines: Array<string>, options?: ?OptionsType) {
+    var {pointColor, fontSize} = getOptions(options);
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = pointColor;
+    this.ctx.font = fontSize + 'px sans-serif';
+    lines.forEach((line, i) => {
+      var y = PANEL_MARGIN + (i + 1) * fontSize * PANEL_LINE_HEIGHT;
+      this.ctx.fillText(line, PANEL_MARGIN, y);
+    });
+    this.ctx.restore();
+  }
+
   __drawBackground() {
     this.ctx.save();
     this.ctx.fillStyle = BACKGROUND_COLOR;
@@ -132,9 +220,30 @@ class CanvasRenderer {
 }
 
 class LinkageRenderer extends CanvasRenderer {
-  drawLinkage ({points, positions}: Object) {
+  drawLinkage ({
+    points,
+    positions,
+    rails,
+    actuators,
+    cams,
+    barForces,
+    loads,
+    toleranceBand,
+  }: Object) {
     this.__drawBackground();
 
+    if (toleranceBand) {
+      this.__drawToleranceBand(toleranceBand.path, toleranceBand.deviations);
+    }
+
+    if (cams) {
+      cams.forEach(outline => this.drawLines(outline, CAM_OPTIONS));
+    }
+
+    if (rails) {
+      rails.forEach(([p0, p1]) => this.drawLine(p0, p1, RAIL_OPTIONS));
+    }
+
     Object.keys(points).forEach(pointID => {
       var p0 = positions[pointID];
       Object.keys(points[pointID]).forEach(pointIDi => {
@@ -143,10 +252,101 @@ class LinkageRenderer extends CanvasRenderer {
       });
     });
 
+    if (actuators) {
+      Object.keys(actuators).forEach(id => {
+        this.drawLine(positions[actuators[id].base], positions[id], ACTUATOR_OPTIONS);
+      });
+    }
+
+    // bars in tension are red and in compression blue, thicker the more
+    // force they carry
+    if (barForces) {
+      var maxForce = Math.max.apply(
+        null,
+        barForces.map(({force}) => Math.abs(force))
+      );
+      barForces.forEach(({p0id, p1id, force}) => {
+        if (maxForce > 0) {
+          var width = MAX_FORCE_WIDTH * Math.abs(force) / maxForce;
+          this.drawLine(positions[p0id], positions[p1id], {
+            lineColor: force > 0 ? TENSION_COLOR : COMPRESSION_COLOR,
+            lineWidth: Math.max(1, width),
+          });
+        }
+      });
+    }
+
+    if (loads) {
+      Object.keys(loads).forEach(id => {
+        var p0 = positions[id];
+        var p1 = {x: p0.x + loads[id].x, y: p0.y + loads[id].y};
+        this.drawLines([p0, p1], LOAD_OPTIONS);
+      });
+    }
+
     Object.keys(points).forEach((pointID) => {
       this.drawPoint(positions[pointID]);
     });
   }
+
+  // shades everywhere a closed path could be, given how far each of its
+  // points could be off, like analyzeTolerances gives. it's drawn under the
+  // linkage, in one solid color so that the overlaps don't show
+  __drawToleranceBand(path: Array<Point>, deviations: Array<number>) {
+    this.ctx.save();
+    this.ctx.strokeStyle = BAND_COLOR;
+    this.ctx.lineCap = 'round';
+    path.forEach((point, i) => {
+      var j = (i + 1) % path.length;
+      var deviation = Math.max(deviations[i], deviations[j]);
+      this.ctx.lineWidth = Math.max(2 * deviation, MIN_BAND_WIDTH / SCALE);
+      this.__drawLineAux(point, path[j]);
+    });
+    this.ctx.restore();
+  }
+
+  // bars that would hit each other in a real model, from
+  // Linkage.findInterferingBars
+  drawInterference(pairs: Array<Array<Array<string>>>, positions: Object) {
+    pairs.forEach(pair => {
+      pair.forEach(([p0id, p1id]) => {
+        this.drawLine(positions[p0id], positions[p1id], INTERFERENCE_OPTIONS);
+      });
+    });
+  }
+
+  // colors each four-bar loop by its Grashof type, marks the transmission
+  // angle where the coupler meets the output link, and labels it with the
+  // range that angle covers over a cycle
+  drawFourBarOverlay(fourBars: Array<Object>, positions: Object) {
+    fourBars.forEach(fourBar => {
+      var [a, b, c, d] = fourBar.ids.map(id => positions[id]);
+      var options = {
+        lineColor: FOUR_BAR_COLORS[fourBar.type],
+        pointColor: FOUR_BAR_COLORS[fourBar.type],
+        lineWidth: 2,
+      };
+
+      this.drawLines([a, b, c, d], options);
+
+      var toB = Math.atan2(b.y - c.y, b.x - c.x);
+      var toD = Math.atan2(d.y - c.y, d.x - c.x);
+      var start = Math.min(toB, toD);
+      var end = Math.max(toB, toD);
+      if (end - start > Math.PI) {
+        [start, end] = [end, start + 2 * Math.PI];
+      }
+      this.drawArc(c, 1, start, end, options);
+
+      var label = fourBar.type;
+      if (typeof fourBar.minTransmissionAngle === 'number') {
+        label += ' ' + Math.round(fourBar.minTransmissionAngle * RAD_TO_DEG) +
+          '\u00b0-' + Math.round(fourBar.maxTransmissionAngle * RAD_TO_DEG) +
+          '\u00b0';
+      }
+      this.drawText(label, {x: c.x + 1, y: c.y + 1}, options);
+    });
+  }
 }
 
 module.exports = LinkageRenderer;
@@ -6,6 +6,7 @@ var Linkage = require('./Linkage.js');
 var LinkageRenderer = require('./graphics/LinkageRenderer');
 var UI = require('./ui/UI.js');
 var UIState = require('./ui/UIState');
+var validateSpec = require('./analysis/validateSpec');
 
 var linkageData = require('./linkageData.js');
 
@@ -15,11 +16,45 @@ try {
   urlData = JSON.parse(window.unescape(s));
 } catch (e) {}
 
+function showErrors(title, errors) {
+  var errorsElement = document.getElementById('errors');
+  errorsElement.innerHTML = '';
+  if (errors.length === 0) {
+    return;
+  }
+
+  var titleElement = document.createElement('b');
+  titleElement.textContent = title;
+  errorsElement.appendChild(titleElement);
+
+  var listElement = document.createElement('ul');
+  errors.forEach(error => {
+    var itemElement = document.createElement('li');
+    itemElement.textContent = error.message;
+    listElement.appendChild(itemElement);
+  });
+  errorsElement.appendChild(listElement);
+}
+
 if (urlData) {
-  linkageData = urlData;
+  var urlValidation = validateSpec(urlData);
+  if (urlValidation.valid) {
+    linkageData = urlData;
+  } else {
+    showErrors(
+      'the linkage in the url is broken, so the default one was loaded:',
+      urlValidation.errors
+    );
+  }
 }
 
 document.getElementById('button').onclick = function () {
+  var validation = validateSpec(ui.state.linkage.spec);
+  if (!validation.valid) {
+    showErrors('the linkage can\'t be saved:', validation.errors);
+    return;
+  }
+
   var location = window.location;
   var url = location.search
     ? location.href.split(location.search)[0]
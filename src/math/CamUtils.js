@@ -0,0 +1,100 @@
+/* @flow */
+'use strict';
+
+var {wrapAngle} = require('./GeometryUtils');
+
+type Point = {x: number; y: number};
+
+// a cam profile is a table of radii at angles (in radians, increasing, within
+// one turn) around the cam. between them the radius is interpolated either
+// linearly or, if `spline` is set, with a periodic catmull-rom spline
+type CamProfile = {
+  angles: Array<number>;
+  radii: Array<number>;
+  spline?: boolean;
+};
+
+var TWO_PI = 2 * Math.PI;
+var OUTLINE_SAMPLES = 90;
+
+function calcCamRadius(profile: CamProfile, angle: number): number {
+  var {angles, radii} = profile;
+  var n = angles.length;
+  if (n === 1) {
+    return radii[0];
+  }
+
+  // find the table entry at or before the angle, wrapping past the end
+  var a = wrapAngle(angle);
+  var i = n - 1;
+  for (var j = 0; j < n; j++) {
+    if (wrapAngle(angles[j]) <= a) {
+      i = j;
+    }
+  }
+  var next = (i + 1) % n;
+
+  var start = wrapAngle(angles[i]);
+  var span = wrapAngle(angles[next] - start) || TWO_PI;
+  var t = wrapAngle(a - start) / span;
+
+  if (!profile.spline) {
+    return radii[i] + t * (radii[next] - radii[i]);
+  }
+
+  var r0 = radii[(i - 1 + n) % n];
+  var r1 = radii[i];
+  var r2 = radii[next];
+  var r3 = radii[(next + 1) % n];
+  return 0.5 * (
+    2 * r1 +
+    (r2 - r0) * t +
+    (2 * r0 - 5 * r1 + 4 * r2 - r3) * t * t +
+    (3 * r1 - r0 - 3 * r2 + r3) * t * t * t
+  );
+}
+
+// the outline of a cam centered at `center`, turned by `rotation`
+function calcCamOutline(
+  profile: CamProfile,
+  center: Point,
+  rotation: number
+): Array<Point> {
+  var outline = [];
+  for (var i = 0; i <= OUTLINE_SAMPLES; i++) {
+    var angle = TWO_PI * i / OUTLINE_SAMPLES;
+    var radius = calcCamRadius(profile, angle);
+    outline.push({
+      x: center.x + radius * Math.cos(angle + rotation),
+      y: center.y + radius * Math.sin(angle + rotation),
+    });
+  }
+  return outline;
+}
+
+// a round cam with one smooth lobe, that rises by `lift` at `lobeAngle`.
+// the samples are lined up with the lobe, so its top isn't cut off
+function makeCamProfile(
+  baseRadius: number,
+  lift: number,
+  lobeAngle: number,
+  numSamples: number
+): CamProfile {
+  var spacing = TWO_PI / numSamples;
+  var start = wrapAngle(lobeAngle) % spacing;
+  var angles = [];
+  var radii = [];
+  for (var i = 0; i < numSamples; i++) {
+    var angle = start + i * spacing;
+    var rise = Math.max(0, Math.cos(angle - lobeAngle));
+    angles.push(angle);
+    radii.push(baseRadius + lift * rise * rise);
+  }
+  return {angles, radii, spline: true};
+}
+
+module.exports = {
+  calcCamOutline,
+  calcCamRadius,
+  makeCamProfile,
+};
@@ -153,6 +153,7 @@ module.exports = {
   calcAnglesOfPath,
   interpolateBetweenPoints,
   interpolatePath,
+  ixLoop,
   minTotalDiff,
   smoothList,
 };
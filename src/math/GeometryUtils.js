@@ -56,6 +56,56 @@ function calcMinDistFromSegmentToPoint(
   return euclid(point, p3);
 }
 
+// which side of the line through p1 and p2 the point is on
+function calcSide(p1: Point, p2: Point, point: Point): number {
+  return (p2.x - p1.x) * (point.y - p1.y) - (p2.y - p1.y) * (point.x - p1.x);
+}
+
+// where two segments cross, or null if they don't
+function calcSegmentIntersection(
+  segment1: Array<Point>,
+  segment2: Array<Point>
+): ?Point {
+  var [p1, p2] = segment1;
+  var [p3, p4] = segment2;
+
+  var side1 = calcSide(p3, p4, p1);
+  var side2 = calcSide(p3, p4, p2);
+  if (
+    side1 * side2 >= 0 ||
+    calcSide(p1, p2, p3) * calcSide(p1, p2, p4) >= 0
+  ) {
+    return null;
+  }
+
+  var t = side1 / (side1 - side2);
+  return {
+    x: p1.x + t * (p2.x - p1.x),
+    y: p1.y + t * (p2.y - p1.y),
+  };
+}
+
+// zero if the segments cross, otherwise the distance between their closest
+// points, which always includes an end of one of them
+function calcMinDistBetweenSegments(
+  segment1: Array<Point>,
+  segment2: Array<Point>
+): number {
+  var [p1, p2] = segment1;
+  var [p3, p4] = segment2;
+
+  if (calcSegmentIntersection(segment1, segment2)) {
+    return 0;
+  }
+
+  return Math.min(
+    calcMinDistFromSegmentToPoint(segment2, p1),
+    calcMinDistFromSegmentToPoint(segment2, p2),
+    calcMinDistFromSegmentToPoint(segment1, p3),
+    calcMinDistFromSegmentToPoint(segment1, p4)
+  );
+}
+
 function findClosestThingToPoint(
   things: Array<any>,
   point: Point,
@@ -122,11 +172,84 @@ function calcPointFromExtender(
   };
 }
 
+// finds where a bar of length `len` hinged at p1 meets the line that passes
+// through linePoint at lineAngle. like a triangle, there are two solutions
+function calcPointFromSlider(
+  p1: Point,
+  len: number,
+  linePoint: Point,
+  lineAngle: number
+): {sol1: Point; sol2: Point} {
+  var ux = Math.cos(lineAngle);
+  var uy = Math.sin(lineAngle);
+  var dx = p1.x - linePoint.x;
+  var dy = p1.y - linePoint.y;
+
+  // distance along the line to the foot of the perpendicular from p1, and
+  // the length of that perpendicular
+  var along = dx * ux + dy * uy;
+  var perp = dx * uy - dy * ux;
+
+  var discriminant = len * len - perp * perp;
+  if (discriminant < 0) {
+    throw new Error('bar is too short to reach the slider line');
+  }
+
+  var offset = Math.sqrt(discriminant);
+  return {
+    sol1: {
+      x: linePoint.x + (along + offset) * ux,
+      y: linePoint.y + (along + offset) * uy,
+    },
+    sol2: {
+      x: linePoint.x + (along - offset) * ux,
+      y: linePoint.y + (along - offset) * uy,
+    },
+  };
+}
+
+// an angle wrapped to [0, 2 * PI)
+function wrapAngle(angle: number): number {
+  var res = angle % (2 * Math.PI);
+  return res < 0 ? res + 2 * Math.PI : res;
+}
+
+// difference between two angles, wrapped to (-PI, PI]
+function angleDiff(a1: number, a0: number): number {
+  var diff = (a1 - a0) % (2 * Math.PI);
+  if (diff > Math.PI) {
+    diff -= 2 * Math.PI;
+  } else if (diff <= -Math.PI) {
+    diff += 2 * Math.PI;
+  }
+  return diff;
+}
+
+function projectPointOntoLine(
+  point: Point,
+  linePoint: Point,
+  lineAngle: number
+): Point {
+  var ux = Math.cos(lineAngle);
+  var uy = Math.sin(lineAngle);
+  var t = (point.x - linePoint.x) * ux + (point.y - linePoint.y) * uy;
+  return {
+    x: linePoint.x + t * ux,
+    y: linePoint.y + t * uy,
+  };
+}
+
 module.exports = {
+  angleDiff,
   euclid,
+  calcMinDistBetweenSegments,
   calcMinDistFromSegmentToPoint,
   findClosestThingToPoint,
   calcPointFromTriangle,
   calcPointFromExtender,
+  calcPointFromSlider,
+  calcSegmentIntersection,
   calcSumOfMins,
+  projectPointOntoLine,
+  wrapAngle,
 };
@@ -0,0 +1,58 @@
+/* @flow */
+
+var smallestNumberDivisibleBy = require('./smallestNumberDivisibleBy');
+
+var MAX_DENOMINATOR = 1000;
+var EPSILON = 1e-9;
+
+function gcd(a: number, b: number): number {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// closest fraction to x (which must be positive) with a denominator of at
+// most MAX_DENOMINATOR, from its continued fraction
+function toFraction(x: number): {num: number; den: number} {
+  var [prevNum, num] = [0, 1];
+  var [prevDen, den] = [1, 0];
+  var rest = x;
+
+  for (;;) {
+    var whole = Math.floor(rest);
+    var nextNum = whole * num + prevNum;
+    var nextDen = whole * den + prevDen;
+    if (nextDen > MAX_DENOMINATOR) {
+      break;
+    }
+
+    [prevNum, num] = [num, nextNum];
+    [prevDen, den] = [den, nextDen];
+
+    if (Math.abs(x - num / den) < EPSILON || rest - whole < EPSILON) {
+      break;
+    }
+    rest = 1 / (rest - whole);
+  }
+
+  return {num, den};
+}
+
+// number of turns (of something turning at speed 1) before everything
+// turning at the given speeds is back where it started. speeds can be any
+// ratio of whole numbers, like 3/2
+function calcCommonPeriod(speeds: Array<number>): number {
+  var fractions = speeds
+    .filter(speed => speed !== 0)
+    .map(speed => toFraction(Math.abs(speed)));
+
+  if (fractions.length === 0) {
+    return 1;
+  }
+
+  // each speed p/q repeats every q/p turns. the smallest multiple of all of
+  // those is the lcm of the q's over the gcd of the p's
+  var denominators = fractions.map(({den}) => den);
+  var numerators = fractions.map(({num}) => num);
+  return smallestNumberDivisibleBy(denominators) / numerators.reduce(gcd);
+}
+
+module.exports = calcCommonPeriod;
@@ -0,0 +1,70 @@
+/* @flow */
+'use strict';
+
+var MAX_SWEEPS = 50;
+
+// eigenvalues and eigenvectors of a symmetric matrix, with the jacobi
+// method. vectors[i] is the eigenvector that goes with values[i]
+function calcSymmetricEigen(
+  A: Array<Array<number>>
+): {values: Array<number>; vectors: Array<Array<number>>} {
+  var n = A.length;
+  var M = A.map(row => row.slice());
+  // columns of V are the eigenvectors
+  var V = M.map((row, i) => row.map((_, j) => i === j ? 1 : 0));
+
+  for (var sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+    var offDiagonal = 0;
+    var diagonal = 0;
+    for (var i = 0; i < n; i++) {
+      diagonal += M[i][i] * M[i][i];
+      for (var j = i + 1; j < n; j++) {
+        offDiagonal += M[i][j] * M[i][j];
+      }
+    }
+    if (offDiagonal <= 1e-30 * diagonal || offDiagonal === 0) {
+      break;
+    }
+
+    for (var p = 0; p < n; p++) {
+      for (var q = p + 1; q < n; q++) {
+        if (M[p][q] === 0) {
+          continue;
+        }
+
+        // rotate rows and columns p and q, to zero out M[p][q]
+        var theta = (M[q][q] - M[p][p]) / (2 * M[p][q]);
+        var t = (theta >= 0 ? 1 : -1) /
+          (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        var c = 1 / Math.sqrt(t * t + 1);
+        var s = t * c;
+
+        for (var k = 0; k < n; k++) {
+          var mkp = M[k][p];
+          var mkq = M[k][q];
+          M[k][p] = c * mkp - s * mkq;
+          M[k][q] = s * mkp + c * mkq;
+        }
+        for (k = 0; k < n; k++) {
+          var mpk = M[p][k];
+          var mqk = M[q][k];
+          M[p][k] = c * mpk - s * mqk;
+          M[q][k] = s * mpk + c * mqk;
+        }
+        for (k = 0; k < n; k++) {
+          var vkp = V[k][p];
+          var vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq;
+          V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: M.map((row, i) => row[i]),
+    vectors: M.map((_, i) => V.map(row => row[i])),
+  };
+}
+
+module.exports = calcSymmetricEigen;
@@ -0,0 +1,120 @@
+/* @flow */
+'use strict';
+
+var solveLinearSystem = require('./solveLinearSystem');
+
+type Point = {x: number; y: number};
+type Bar = {p0id: string; p1id: string; len: number};
+
+var MAX_ITERATIONS = 100;
+var TOLERANCE = 1e-16;
+var INITIAL_DAMPING = 1e-3;
+var MAX_DAMPING = 1e10;
+
+// places the `unknown` points so that every bar has its length, using
+// Levenberg-Marquardt. `known` holds the points that are already placed, and
+// `seeds` the starting guess for each unknown point--starting close to the
+// last solution keeps the linkage on the same branch. returns null if the
+// bars can't all be satisfied
+function solveBarConstraints(
+  unknownIDs: Array<string>,
+  bars: Array<Bar>,
+  known: {[key:string]: Point},
+  seeds: {[key:string]: Point}
+): ?{[key:string]: Point} {
+  var index = {};
+  unknownIDs.forEach((id, i) => {index[id] = i});
+
+  var x = [];
+  unknownIDs.forEach(id => x.push(seeds[id].x, seeds[id].y));
+
+  var getPoint = (vars, id) =>
+    typeof index[id] === 'number'
+      ? {x: vars[2 * index[id]], y: vars[2 * index[id] + 1]}
+      : known[id];
+
+  var calcResiduals = vars => bars.map(({p0id, p1id, len}) => {
+    var p0 = getPoint(vars, p0id);
+    var p1 = getPoint(vars, p1id);
+    var dx = p1.x - p0.x;
+    var dy = p1.y - p0.y;
+    return Math.sqrt(dx * dx + dy * dy) - len;
+  });
+
+  var calcError = residuals => residuals.reduce((sum, r) => sum + r * r, 0);
+
+  var calcJacobian = vars => bars.map(({p0id, p1id}) => {
+    var row = x.map(() => 0);
+    var p0 = getPoint(vars, p0id);
+    var p1 = getPoint(vars, p1id);
+    var dx = p1.x - p0.x;
+    var dy = p1.y - p0.y;
+    var dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+    if (typeof index[p0id] === 'number') {
+      row[2 * index[p0id]] -= dx / dist;
+      row[2 * index[p0id] + 1] -= dy / dist;
+    }
+    if (typeof index[p1id] === 'number') {
+      row[2 * index[p1id]] += dx / dist;
+      row[2 * index[p1id] + 1] += dy / dist;
+    }
+    return row;
+  });
+
+  var residuals = calcResiduals(x);
+  var error = calcError(residuals);
+  var damping = INITIAL_DAMPING;
+
+  for (var iter = 0; iter < MAX_ITERATIONS && error > TOLERANCE; iter++) {
+    var J = calcJacobian(x);
+
+    // normal equations: (JtJ + damping * diag(JtJ)) step = -Jt r
+    var JtJ = x.map((_, i) => x.map((_, j) =>
+      J.reduce((sum, row) => sum + row[i] * row[j], 0)
+    ));
+    var Jtr = x.map((_, i) =>
+      J.reduce((sum, row, k) => sum + row[i] * residuals[k], 0)
+    );
+
+    var improved = false;
+    while (!improved && damping < MAX_DAMPING) {
+      var A = JtJ.map((row, i) => row.map(
+        (val, j) => i === j ? val + damping * (val || 1) : val
+      ));
+      var step = solveLinearSystem(A, Jtr.map(v => -v));
+
+      if (step) {
+        var next = x.map((val, i) => val + step[i]);
+        var nextResiduals = calcResiduals(next);
+        var nextError = calcError(nextResiduals);
+
+        if (nextError < error) {
+          x = next;
+          residuals = nextResiduals;
+          error = nextError;
+          damping /= 10;
+          improved = true;
+        }
+      }
+
+      if (!improved) {
+        damping *= 10;
+      }
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+
+  if (error > TOLERANCE) {
+    return null;
+  }
+
+  var res = {};
+  unknownIDs.forEach(id => {res[id] = getPoint(x, id)});
+  return res;
+}
+
+module.exports = solveBarConstraints;
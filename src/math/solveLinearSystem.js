@@ -0,0 +1,46 @@
+/* @flow */
+'use strict';
+
+// solves Ax = b with gaussian elimination and partial pivoting. returns null
+// if the system is singular
+function solveLinearSystem(
+  A: Array<Array<number>>,
+  b: Array<number>
+): ?Array<number> {
+  var n = b.length;
+  var M = A.map((row, i) => row.concat([b[i]]));
+
+  for (var col = 0; col < n; col++) {
+    var pivot = col;
+    for (var row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(M[pivot][col]) < 1e-14) {
+      return null;
+    }
+    var swap = M[col];
+    M[col] = M[pivot];
+    M[pivot] = swap;
+
+    for (row = col + 1; row < n; row++) {
+      var factor = M[row][col] / M[col][col];
+      for (var k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  var x = new Array(n);
+  for (var i = n - 1; i >= 0; i--) {
+    var sum = M[i][n];
+    for (var j = i + 1; j < n; j++) {
+      sum -= M[i][j] * x[j];
+    }
+    x[i] = sum / M[i][i];
+  }
+  return x;
+}
+
+module.exports = solveLinearSystem;
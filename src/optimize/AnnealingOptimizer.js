@@ -0,0 +1,49 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+
+// starting temperature, as a fraction of how bad the starting thing is
+var INITIAL_TEMPERATURE = .1;
+var COOLING_RATE = .995;
+
+// like hill climbing, but sometimes keeps worse things too, so that it can
+// climb out of local minima. that gets less likely as it cools down
+class AnnealingOptimizer extends Optimizer {
+  current: OptObj;
+  currentPerf: number;
+  temperature: number;
+
+  constructor(thing: OptObj): void {
+    super(thing);
+    this.current = thing;
+    this.currentPerf = this.bestPerf;
+    this.temperature = isFinite(this.bestPerf) ?
+      INITIAL_TEMPERATURE * Math.abs(this.bestPerf) :
+      0;
+  }
+
+  step(): OptObj {
+    var next = this.current.copy();
+    next.getFeatures().forEach(tweak => tweak());
+
+    if (next.isValid()) {
+      var perf = next.calcPerfCached();
+      var worse = perf - this.currentPerf;
+      if (
+        worse <= 0 ||
+        (this.temperature > 0 &&
+          Math.random() < Math.exp(-worse / this.temperature))
+      ) {
+        this.current = next;
+        this.currentPerf = perf;
+        this.__consider(next, perf);
+      }
+    }
+
+    this.temperature *= COOLING_RATE;
+    return this.best;
+  }
+}
+
+module.exports = AnnealingOptimizer;
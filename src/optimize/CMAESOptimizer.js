@@ -0,0 +1,160 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+var calcSymmetricEigen = require('../math/calcSymmetricEigen');
+
+type SampleType = {step: Array<number>; perf: number};
+
+function dot(a: Array<number>, b: Array<number>): number {
+  return a.reduce((sum, ai, i) => sum + ai * b[i], 0);
+}
+
+function norm(a: Array<number>): number {
+  return Math.sqrt(dot(a, a));
+}
+
+// covariance matrix adaptation evolution strategy. samples a generation of
+// params from a normal distribution, then moves the distribution towards the
+// best of them, and stretches it along the directions they went in. each step
+// tries one sample, and the distribution is updated after a generation of
+// them
+class CMAESOptimizer extends Optimizer {
+  mean: Array<number>;
+  sigma: number;
+  generation: number;
+
+  // covariance, its eigenvectors and the square roots of its eigenvalues
+  C: Array<Array<number>>;
+  B: Array<Array<number>>;
+  D: Array<number>;
+
+  // evolution paths of the covariance and the step size
+  pc: Array<number>;
+  ps: Array<number>;
+
+  samples: Array<SampleType>;
+
+  // constants, from the number of params
+  lambda: number;
+  mu: number;
+  weights: Array<number>;
+  mueff: number;
+  cc: number;
+  cs: number;
+  c1: number;
+  cmu: number;
+  damps: number;
+  chiN: number;
+
+  constructor(thing: OptObj): void {
+    super(thing);
+
+    this.mean = thing.getParams();
+    this.sigma = thing.getParamScale();
+    this.generation = 0;
+    this.samples = [];
+
+    var n = this.mean.length;
+    var zeros = () => this.mean.map(() => 0);
+    this.C = this.mean.map((_, i) => this.mean.map((_, j) => i === j ? 1 : 0));
+    this.B = this.C.map(row => row.slice());
+    this.D = this.mean.map(() => 1);
+    this.pc = zeros();
+    this.ps = zeros();
+
+    this.lambda = 4 + Math.floor(3 * Math.log(Math.max(n, 1)));
+    this.mu = Math.floor(this.lambda / 2);
+    var weights = [];
+    for (var i = 0; i < this.mu; i++) {
+      weights.push(Math.log(this.mu + .5) - Math.log(i + 1));
+    }
+    var sum = weights.reduce((a, w) => a + w, 0);
+    this.weights = weights.map(w => w / sum);
+    this.mueff = 1 / dot(this.weights, this.weights);
+
+    var mueff = this.mueff;
+    this.cc = (4 + mueff / n) / (n + 4 + 2 * mueff / n);
+    this.cs = (mueff + 2) / (n + mueff + 5);
+    this.c1 = 2 / ((n + 1.3) * (n + 1.3) + mueff);
+    this.cmu = Math.min(
+      1 - this.c1,
+      2 * (mueff - 2 + 1 / mueff) / ((n + 2) * (n + 2) + mueff)
+    );
+    this.damps = 1 +
+      2 * Math.max(0, Math.sqrt((mueff - 1) / (n + 1)) - 1) +
+      this.cs;
+    this.chiN = Math.sqrt(n) * (1 - 1 / (4 * n) + 1 / (21 * n * n));
+  }
+
+  step(): OptObj {
+    if (this.mean.length === 0) {
+      return this.best;
+    }
+
+    // step = B * (D .* z), for z from the standard normal distribution
+    var z = this.D.map(d => d * Optimizer.randomNormal());
+    var step = this.B.map(row => dot(row, z));
+    var params = this.mean.map((m, i) => m + this.sigma * step[i]);
+    this.samples.push({step, perf: this.__evaluateParams(params).perf});
+
+    if (this.samples.length === this.lambda) {
+      this.__updateDistribution();
+      this.samples = [];
+    }
+
+    return this.best;
+  }
+
+  __updateDistribution(): void {
+    var n = this.mean.length;
+    var {weights, mu, mueff, cc, cs, c1, cmu} = this;
+
+    var selected = this.samples
+      .sort((a, b) => a.perf - b.perf)
+      .slice(0, mu)
+      .map(({step}) => step);
+    var meanStep = this.mean.map(
+      (_, i) => selected.reduce((sum, step, k) => sum + weights[k] * step[i], 0)
+    );
+    this.mean = this.mean.map((m, i) => m + this.sigma * meanStep[i]);
+
+    // C^(-1/2) * meanStep = B * (B' * meanStep ./ D)
+    var rotated = this.B.map(
+      (_, k) => this.B.reduce((sum, row, i) => sum + row[k] * meanStep[i], 0) /
+        this.D[k]
+    );
+    var whitened = this.B.map(row => dot(row, rotated));
+
+    var psScale = Math.sqrt(cs * (2 - cs) * mueff);
+    this.ps = this.ps.map((p, i) => (1 - cs) * p + psScale * whitened[i]);
+
+    this.generation++;
+    var psNorm = norm(this.ps);
+    var hsig = psNorm /
+      Math.sqrt(1 - Math.pow(1 - cs, 2 * this.generation)) /
+      this.chiN < 1.4 + 2 / (n + 1) ? 1 : 0;
+
+    var pcScale = hsig * Math.sqrt(cc * (2 - cc) * mueff);
+    this.pc = this.pc.map((p, i) => (1 - cc) * p + pcScale * meanStep[i]);
+
+    var oldScale = 1 - c1 - cmu + (1 - hsig) * c1 * cc * (2 - cc);
+    this.C = this.C.map((row, i) => row.map((cij, j) =>
+      oldScale * cij +
+      c1 * this.pc[i] * this.pc[j] +
+      cmu * selected.reduce(
+        (sum, step, k) => sum + weights[k] * step[i] * step[j],
+        0
+      )
+    ));
+
+    this.sigma *= Math.exp((cs / this.damps) * (psNorm / this.chiN - 1));
+
+    // B's rows are what multiply z, so they hold the eigenvectors' entries
+    var {values, vectors} = calcSymmetricEigen(this.C);
+    this.D = values.map(value => Math.sqrt(Math.max(value, 0)));
+    this.B = this.mean.map((_, i) => vectors.map(vector => vector[i]));
+  }
+}
+
+module.exports = CMAESOptimizer;
@@ -4,13 +4,6 @@ var OptObj = require('./OptObj');
 var Linkage = require('../Linkage');
 var LinkageOptObj = require('./LinkageOptObj');
 
-var {
-  calcAnglesOfPath,
-  interpolatePath,
-  minTotalDiff,
-  smoothList,
-} = require('../math/CurveUtils');
-
 type Point = {
   x: number;
   y: number;
@@ -18,13 +11,7 @@ type Point = {
 
 class CurveOptObj extends LinkageOptObj {
   __calcPathPerf(path1: Array<Point>, path2: Array<Point>): number {
-    var getAngles = path =>
-      smoothList(calcAnglesOfPath(interpolatePath(path, 100)), 2)
-    var angles1 = getAngles(path1);
-    var angles2 = getAngles(path2);
-    var minForward = minTotalDiff(angles1, angles2);
-    var minBackward = minTotalDiff(angles1.reverse(), angles2);
-    return minForward < minBackward ? minForward : minBackward;
+    return this.__calcShapePerf(path1, path2);
   }
 }
 
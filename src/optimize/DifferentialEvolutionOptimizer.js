@@ -0,0 +1,85 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+
+type MemberType = {params: Array<number>; perf: number};
+
+var MIN_POPULATION = 4;
+var MAX_POPULATION = 20;
+var POPULATION_PER_PARAM = 5;
+var DIFFERENTIAL_WEIGHT = .8;
+var CROSSOVER_RATE = .9;
+
+// picks `count` different indices below `n` that aren't `exclude`
+function pickIndices(n: number, count: number, exclude: number): Array<number> {
+  var picked = [];
+  while (picked.length < count) {
+    var i = Math.floor(Math.random() * n);
+    if (i !== exclude && picked.indexOf(i) === -1) {
+      picked.push(i);
+    }
+  }
+  return picked;
+}
+
+// keeps a population of params spread around the starting ones. each step
+// takes one member of it, and tries crossing it with another member moved by
+// the difference between two more, keeping whichever is better
+class DifferentialEvolutionOptimizer extends Optimizer {
+  population: ?Array<MemberType>;
+  index: number;
+
+  step(): OptObj {
+    if (!this.population) {
+      this.population = this.__makePopulation();
+      this.index = 0;
+    }
+    var population = this.population;
+
+    var n = this.__start.getParams().length;
+    if (n === 0) {
+      return this.best;
+    }
+
+    var target = population[this.index];
+    var [a, b, c] = pickIndices(population.length, 3, this.index)
+      .map(i => population[i].params);
+
+    // always take at least one param from the mutant
+    var forced = Math.floor(Math.random() * n);
+    var params = target.params.map((param, i) =>
+      i === forced || Math.random() < CROSSOVER_RATE ?
+        a[i] + DIFFERENTIAL_WEIGHT * (b[i] - c[i]) :
+        param
+    );
+
+    var perf = this.__evaluateParams(params).perf;
+    if (perf <= target.perf) {
+      population[this.index] = {params, perf};
+    }
+
+    this.index = (this.index + 1) % population.length;
+    return this.best;
+  }
+
+  __makePopulation(): Array<MemberType> {
+    var start = this.__start.getParams();
+    var scale = this.__start.getParamScale();
+    var size = Math.max(
+      MIN_POPULATION,
+      Math.min(MAX_POPULATION, POPULATION_PER_PARAM * start.length)
+    );
+
+    var population = [{params: start, perf: this.bestPerf}];
+    while (population.length < size) {
+      var params = start.map(
+        param => param + scale * 2 * (Math.random() - .5)
+      );
+      population.push({params, perf: this.__evaluateParams(params).perf});
+    }
+    return population;
+  }
+}
+
+module.exports = DifferentialEvolutionOptimizer;
@@ -0,0 +1,16 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+var optimizeStep = require('./optimizeStep');
+
+// tweaks every feature at random, and keeps the result if it's better
+class HillClimbOptimizer extends Optimizer {
+  step(): OptObj {
+    this.best = optimizeStep(this.best);
+    this.bestPerf = this.__evaluate(this.best);
+    return this.best;
+  }
+}
+
+module.exports = HillClimbOptimizer;
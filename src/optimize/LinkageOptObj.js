@@ -2,20 +2,90 @@
 
 var OptObj = require('./OptObj');
 var Linkage = require('../Linkage');
+var FourBarAnalysis = require('../analysis/FourBarAnalysis');
 
-var calcSumOfMins = require('../math/GeometryUtils').calcSumOfMins;
+var {calcSumOfMins, euclid} = require('../math/GeometryUtils');
+var {
+  calcAnglesOfPath,
+  interpolatePath,
+  minTotalDiff,
+  smoothList,
+} = require('../math/CurveUtils');
 
 type Point = {
   x: number;
   y: number;
 };
 
-type DataType = {
-  linkageSpec: Object;
+type BoundsType = {
+  minX?: number;
+  maxX?: number;
+  minY?: number;
+  maxY?: number;
+};
+
+// a path for one point to follow. the metric is 'position' to follow the
+// path where it is, or 'shape' to follow its shape wherever it is
+type TargetType = {
+  id: string;
   path: Array<Point>;
+  weight?: number;
+  metric?: string;
+};
+
+// where a point should be when a rotary has turned to `angle`
+type PrecisionPointType = {
   id: string;
+  angle: number;
+  point: Point;
+  weight?: number;
 };
 
+type DataType = {
+  linkageSpec: Object;
+  // either one point and the path it should follow, or several targets
+  path?: Array<Point>;
+  id?: string;
+  targets?: Array<TargetType>;
+  // where points should be at given angles of a rotary, and which rotary
+  // that is, if it isn't the first one
+  precisionPoints?: Array<PrecisionPointType>;
+  rotaryID?: string;
+  deadPointPenalty?: number;
+  // points that stay where they are, and bars that stay the same length
+  lockedPoints?: Array<string>;
+  lockedBars?: Array<Array<string>>;
+  // where each point can be moved to, by id
+  bounds?: {[key: string]: BoundsType};
+  // where every point has to stay over a whole cycle
+  boundingBox?: BoundsType;
+  // penalties for four-bar loops whose transmission angles get further than
+  // `min` from a straight line, and for the longest bar being more than `max`
+  // times the shortest. both grow by `weight` per unit they're out
+  transmissionAnglePenalty?: {min: number; weight: number};
+  barLengthRatioPenalty?: {max: number; weight: number};
+};
+
+function isInBounds({x, y}: Point, bounds: BoundsType): boolean {
+  return !(
+    x < (typeof bounds.minX === 'number' ? bounds.minX : -Infinity) ||
+    x > (typeof bounds.maxX === 'number' ? bounds.maxX : Infinity) ||
+    y < (typeof bounds.minY === 'number' ? bounds.minY : -Infinity) ||
+    y > (typeof bounds.maxY === 'number' ? bounds.maxY : Infinity)
+  );
+}
+
+function clampToBounds({x, y}: Point, bounds: BoundsType): Point {
+  var clamp = (value, min, max) => Math.min(
+    typeof max === 'number' ? max : Infinity,
+    Math.max(typeof min === 'number' ? min : -Infinity, value)
+  );
+  return {
+    x: clamp(x, bounds.minX, bounds.maxX),
+    y: clamp(y, bounds.minY, bounds.maxY),
+  };
+}
+
 class LinkageOptObj extends OptObj {
   linkage: Linkage;
 
@@ -26,83 +96,287 @@ class LinkageOptObj extends OptObj {
   }
 
   __calcPerf(): number {
-    var path1 = this.linkage.getPath(this.__data.id);
+    var {boundingBox, precisionPoints} = this.__data;
+    var targets = this.__getTargets();
 
-    if (!path1) {
+    if (targets.length === 0 && !(precisionPoints && precisionPoints.length)) {
+      throw new Error('nothing to optimize towards');
+    }
+
+    // the perfs add up distances over the samples, so there's always the
+    // same number of them, however long the paths are. that also means every
+    // point can be traced in one go, without changing the samples of the
+    // others. the bounding box needs all of them
+    var numSamples = this.linkage.getStepsPerCycle();
+    var ids = boundingBox ?
+      Object.keys(this.linkage.spec.points) :
+      targets.map(({id}) => id);
+    var paths = ids.length > 0 ?
+      this.linkage.samplePaths(ids, {numSamples}) :
+      {};
+    if (!paths) {
       throw new Error('incomplete loop');
     }
 
-    var path2 = this.__data.path;
+    if (boundingBox && Object.keys(paths).some(
+      id => !paths[id].every(p => isInBounds(p, boundingBox))
+    )) {
+      throw new Error('linkage leaves its bounding box');
+    }
+
+    var pathPerf = targets.reduce((accum, {id, path, weight, metric}) => {
+      var path1 = paths[id];
+      var path2 = path;
 
-    if (path1.length === 0) {
-      throw new Error('linkage path has to have points');
+      if (path1.length === 0) {
+        throw new Error('linkage path has to have points');
+      }
+
+      if (path2.length === 0) {
+        throw new Error('provided path has to have points');
+      }
+
+      var perf = metric === 'shape' ? this.__calcShapePerf(path1, path2) :
+        metric === 'position' ? this.__calcPositionPerf(path1, path2) :
+        this.__calcPathPerf(path1, path2);
+      return accum + (typeof weight === 'number' ? weight : 1) * perf;
+    }, 0);
+
+    return pathPerf +
+      this.__calcPrecisionPerf() +
+      this.__calcDeadPointPenalty() +
+      this.__calcTransmissionAnglePenalty() +
+      this.__calcBarLengthRatioPenalty();
+  }
+
+  // how far points are from their precision points, when the rotary is at
+  // each precision point's angle
+  __calcPrecisionPerf(): number {
+    var precisionPoints = this.__data.precisionPoints || [];
+    if (precisionPoints.length === 0) {
+      return 0;
     }
 
-    if (path2.length === 0) {
-      throw new Error('provided path has to have points');
+    var rotID = this.__data.rotaryID ||
+      Object.keys(this.linkage.spec.rotaries)[0];
+    if (!rotID) {
+      throw new Error('precision points need a rotary to time them by');
     }
 
-    return this.__calcPathPerf(path1, path2);
+    return precisionPoints.reduce((accum, {id, angle, point, weight}) => {
+      var positions = this.linkage.calculatePositionsAtInputAngle(rotID, angle);
+      if (!positions) {
+        throw new Error('linkage can\'t reach a precision point\'s angle');
+      }
+      var dist = euclid(positions[id], point);
+      return accum + (typeof weight === 'number' ? weight : 1) * dist;
+    }, 0);
   }
 
+  // penalizes rotaries that can't turn all the way around by themselves, by
+  // how much of their rotation is lost to dead points
+  __calcDeadPointPenalty(): number {
+    var weight = this.__data.deadPointPenalty;
+    if (!weight) {
+      return 0;
+    }
+
+    var rotaries = this.linkage.spec.rotaries;
+    return Object.keys(rotaries).reduce((accum, rotID) => {
+      var {ranges} = this.linkage.getInputRange(rotID);
+      var usable = ranges.reduce((sum, {start, end}) => sum + end - start, 0);
+      return accum + weight * (1 - usable / (2 * Math.PI));
+    }, 0);
+  }
+
+  // penalizes four-bar loops by how much closer than `min` their transmission
+  // angles come to 0 or 180 degrees, over a cycle
+  __calcTransmissionAnglePenalty(): number {
+    var penalty = this.__data.transmissionAnglePenalty;
+    if (!penalty) {
+      return 0;
+    }
+
+    var {min, weight} = penalty;
+    var fourBars = FourBarAnalysis.analyzeFourBars(this.linkage);
+    return fourBars.reduce((accum, fourBar) => {
+      var lowest = fourBar.minTransmissionAngle;
+      var highest = fourBar.maxTransmissionAngle;
+      if (typeof lowest !== 'number' || typeof highest !== 'number') {
+        return accum;
+      }
+      var worst = Math.min(lowest, Math.PI - highest);
+      return accum + weight * Math.max(0, min - worst);
+    }, 0);
+  }
+
+  // penalizes the longest bar for being more than `max` times the shortest.
+  // bars between ground points don't count
+  __calcBarLengthRatioPenalty(): number {
+    var penalty = this.__data.barLengthRatioPenalty;
+    if (!penalty) {
+      return 0;
+    }
+
+    var {points, groundPoints} = this.linkage.spec;
+    var lengths = [];
+    Object.keys(points).forEach(p0id => {
+      Object.keys(points[p0id]).forEach(p1id => {
+        if (!groundPoints[p0id] || !groundPoints[p1id]) {
+          lengths.push(points[p0id][p1id].len);
+        }
+      });
+    });
+    if (lengths.length === 0) {
+      return 0;
+    }
+
+    var ratio = Math.max.apply(null, lengths) / Math.min.apply(null, lengths);
+    return penalty.weight * Math.max(0, ratio - penalty.max);
+  }
+
+  __getTargets(): Array<TargetType> {
+    var {targets, id, path} = this.__data;
+    if (targets) {
+      return targets;
+    }
+    return id && path ? [{id, path}] : [];
+  }
+
+  // how targets without a metric are compared
   __calcPathPerf(path1: Array<Point>, path2: Array<Point>): number {
+    return this.__calcPositionPerf(path1, path2);
+  }
+
+  __calcPositionPerf(path1: Array<Point>, path2: Array<Point>): number {
     return calcSumOfMins(path1, path2) + calcSumOfMins(path2, path1);
   }
 
+  // compares the directions the paths head in, so it doesn't matter where
+  // they are, or which way round they go
+  __calcShapePerf(path1: Array<Point>, path2: Array<Point>): number {
+    var getAngles = path =>
+      smoothList(calcAnglesOfPath(interpolatePath(path, 100)), 2)
+    var angles1 = getAngles(path1);
+    var angles2 = getAngles(path2);
+    var minForward = minTotalDiff(angles1, angles2);
+    var minBackward = minTotalDiff(angles1.reverse(), angles2);
+    return minForward < minBackward ? minForward : minBackward;
+  }
+
+  // the ground points and the other points that can be moved around.
+  // reference points move with their rotaries instead (so rotaries with
+  // locked reference points stay put), and points held in place by two locked
+  // bars can't move at all
+  __getMovableIDs(): {groundIDs: Array<string>; pointIDs: Array<string>} {
+    var {points, extenders, rotaries, groundPoints} = this.__data.linkageSpec;
+    var lockedPoints = this.__data.lockedPoints || [];
+
+    var refPoints = {};
+    Object.keys(extenders).forEach(id => {refPoints[extenders[id].ref] = true});
+    var isLocked = id => lockedPoints.indexOf(id) !== -1;
+    var isMovable = id => !refPoints[id] && !isLocked(id) &&
+      !(rotaries[id] && isLocked(extenders[rotaries[id]].ref));
+
+    return {
+      groundIDs: Object.keys(groundPoints).filter(isMovable),
+      pointIDs: Object.keys(points).filter(id =>
+        !groundPoints[id] &&
+        isMovable(id) &&
+        this.__getLockedNeighbors(id).length < 2
+      ),
+    };
+  }
+
+  // the other ends of a point's locked bars
+  __getLockedNeighbors(id: string): Array<string> {
+    var lockedBars = this.__data.lockedBars || [];
+    return lockedBars
+      .filter(ids => ids.indexOf(id) !== -1)
+      .map(([p0id, p1id]) => p0id === id ? p1id : p0id);
+  }
+
+  // where a point ends up when asked to move to `point`: inside its bounds,
+  // and (if it isn't on the ground) the same distance as before from the
+  // other end of a locked bar
+  __constrainMove(id: string, point: Point): Point {
+    var bounds = this.__data.bounds && this.__data.bounds[id];
+    if (bounds) {
+      point = clampToBounds(point, bounds);
+    }
+
+    var [neighborID] = this.__getLockedNeighbors(id);
+    if (neighborID && !this.__data.linkageSpec.groundPoints[id]) {
+      var center = this.linkage.positions[neighborID];
+      var len = euclid(center, this.linkage.positions[id]);
+      var dist = euclid(center, point);
+      if (dist > 0) {
+        point = {
+          x: center.x + len * (point.x - center.x) / dist,
+          y: center.y + len * (point.y - center.y) / dist,
+        };
+      }
+    }
+
+    return point;
+  }
+
+  // the moves that take a ground point towards `point`. a rotary's reference
+  // point moves along with it, so its input angle stays the same, and holds
+  // it back as far as its own bounds hold the reference point back
+  __getGroundMoves(
+    id: string,
+    point: Point
+  ): Array<{id: string; point: Point}> {
+    var {rotaries, extenders, groundPoints} = this.__data.linkageSpec;
+    point = this.__constrainMove(id, point);
+    if (!rotaries[id]) {
+      return [{id, point}];
+    }
+
+    var refID = extenders[rotaries[id]].ref;
+    var base = groundPoints[id];
+    var ref = groundPoints[refID];
+    var refPoint = this.__constrainMove(refID, {
+      x: ref.x + point.x - base.x,
+      y: ref.y + point.y - base.y,
+    });
+    return [
+      {
+        id,
+        point: {x: base.x + refPoint.x - ref.x, y: base.y + refPoint.y - ref.y},
+      },
+      {id: refID, point: refPoint},
+    ];
+  }
+
   getFeatures(): Array<Function> {
     var that = this;
     var spec = this.__data.linkageSpec;
 
-    var {points, rotaries, extenders, groundPoints} = spec;
-    var [groundIDs, extenderIDs, pointIDs] =
-      [groundPoints, extenders, points].map(Object.keys);
-
-    var refPoints = {};
-    extenderIDs.forEach(id => {refPoints[extenders[id].ref] = true});
+    var {groundIDs, pointIDs} = this.__getMovableIDs();
 
     var groundFeatures = groundIDs
-      .filter(id => !refPoints[id])
       .map(id => {
         var orig = spec.groundPoints[id];
 
         return () => {
-          var deltaX = (Math.random() - .5) * 2 * .5;
-          var deltaY = (Math.random() - .5) * 2 * .5;
-
-          var point = {
-            x: orig.x + deltaX,
-            y: orig.y + deltaY,
-          };
-
-          var moves = [{id, point}];
-
-          if (rotaries[id]) {
-            var refID = extenders[rotaries[id]].ref;
-            var refCurPoint = groundPoints[refID];
-            var refNextPoint = {
-              x: refCurPoint.x + deltaX,
-              y: refCurPoint.y + deltaY,
-            };
-            moves.push({point: refNextPoint, id: refID});
-          }
-
-          this.linkage.tryMovingGroundPoints(moves);
+          this.linkage.tryMovingGroundPoints(this.__getGroundMoves(id, {
+            x: orig.x + (Math.random() - .5) * 2 * .5,
+            y: orig.y + (Math.random() - .5) * 2 * .5,
+          }));
         };
       });
 
     var notGroundFeatures = pointIDs
-      .filter(id => !groundPoints[id] && !refPoints[id])
       .map(id => {
         var orig = this.linkage.positions[id];
 
         return () => {
-          var deltaX = (Math.random() - .5) * 2 * .5;
-          var deltaY = (Math.random() - .5) * 2 * .5;
-
-          var point = {
-            x: orig.x + deltaX,
-            y: orig.y + deltaY,
-          };
+          var point = this.__constrainMove(id, {
+            x: orig.x + (Math.random() - .5) * 2 * .5,
+            y: orig.y + (Math.random() - .5) * 2 * .5,
+          });
 
           this.linkage.moveNotGroundPoint(point, id)
         };
@@ -111,6 +385,36 @@ class LinkageOptObj extends OptObj {
     return groundFeatures.concat(notGroundFeatures);
   }
 
+  // the x and y of each ground point, then of each other point
+  getParams(): Array<number> {
+    var {groundIDs, pointIDs} = this.__getMovableIDs();
+    var {groundPoints} = this.__data.linkageSpec;
+    var {positions} = this.linkage;
+    return groundIDs.map(id => groundPoints[id])
+      .concat(pointIDs.map(id => positions[id]))
+      .reduce((params, {x, y}) => params.concat([x, y]), []);
+  }
+
+  // moves the points the same way their features do, so moves that would
+  // break the linkage don't happen
+  __setParams(params: Array<number>): void {
+    var {groundIDs, pointIDs} = this.__getMovableIDs();
+    var pointAt = i => ({x: params[2 * i], y: params[2 * i + 1]});
+
+    groundIDs.forEach((id, i) => {
+      this.linkage.tryMovingGroundPoints(this.__getGroundMoves(id, pointAt(i)));
+    });
+
+    pointIDs.forEach((id, i) => {
+      var point = this.__constrainMove(id, pointAt(groundIDs.length + i));
+      this.linkage.moveNotGroundPoint(point, id);
+    });
+  }
+
+  getParamScale(): number {
+    return .5;
+  }
+
   isValid(): boolean {
     try {
       this.calcPerfCached();
@@ -0,0 +1,93 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+
+type VertexType = {params: Array<number>; perf: number};
+
+var REFLECTION = 1;
+var EXPANSION = 2;
+var CONTRACTION = .5;
+var SHRINK = .5;
+
+// moves `from` towards or past `to`, by `amount` times the distance between
+// them
+function moveParams(
+  from: Array<number>,
+  to: Array<number>,
+  amount: number
+): Array<number> {
+  return from.map((param, i) => param + amount * (to[i] - param));
+}
+
+// walks a simplex of n + 1 sets of params downhill, by reflecting its worst
+// corner through the others. each step is one reflection, or a shrink when
+// nothing better turns up
+class NelderMeadOptimizer extends Optimizer {
+  simplex: ?Array<VertexType>;
+
+  step(): OptObj {
+    if (!this.simplex) {
+      // the starting params, and one more corner along each param
+      var params = this.__start.getParams();
+      var scale = this.__start.getParamScale();
+      this.simplex = [{params, perf: this.bestPerf}].concat(
+        params.map((_, i) => {
+          var corner = params.slice();
+          corner[i] += scale;
+          return this.__makeVertex(corner);
+        })
+      );
+    }
+    var simplex = this.simplex;
+
+    var n = simplex.length - 1;
+    if (n === 0) {
+      return this.best;
+    }
+
+    simplex.sort((a, b) => a.perf - b.perf);
+    var best = simplex[0];
+    var worst = simplex[n];
+    var secondWorst = simplex[n - 1];
+
+    var centroid = worst.params.map(
+      (_, i) => simplex.slice(0, n).reduce((sum, v) => sum + v.params[i], 0) / n
+    );
+
+    var reflected = this.__makeVertex(
+      moveParams(centroid, worst.params, -REFLECTION)
+    );
+    if (reflected.perf < best.perf) {
+      var expanded = this.__makeVertex(
+        moveParams(centroid, worst.params, -EXPANSION)
+      );
+      simplex[n] = expanded.perf < reflected.perf ? expanded : reflected;
+    } else if (reflected.perf < secondWorst.perf) {
+      simplex[n] = reflected;
+    } else {
+      var contracted = reflected.perf < worst.perf ?
+        this.__makeVertex(moveParams(centroid, reflected.params, CONTRACTION)) :
+        this.__makeVertex(moveParams(centroid, worst.params, CONTRACTION));
+
+      if (contracted.perf < Math.min(reflected.perf, worst.perf)) {
+        simplex[n] = contracted;
+      } else {
+        // nothing nearby is better, so close in on the best corner
+        for (var i = 1; i <= n; i++) {
+          simplex[i] = this.__makeVertex(
+            moveParams(best.params, simplex[i].params, SHRINK)
+          );
+        }
+      }
+    }
+
+    return this.best;
+  }
+
+  __makeVertex(params: Array<number>): VertexType {
+    return {params, perf: this.__evaluateParams(params).perf};
+  }
+}
+
+module.exports = NelderMeadOptimizer;
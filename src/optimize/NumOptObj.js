@@ -26,6 +26,18 @@ class NumOptObj extends OptObj {
     );
   }
 
+  getParams(): Array<number> {
+    return this.__data.nums.slice();
+  }
+
+  __setParams(params: Array<number>): void {
+    this.__data.nums = params.map(Math.round);
+  }
+
+  getParamScale(): number {
+    return 5;
+  }
+
   isValid(): boolean {
     return true;
   }
@@ -36,6 +36,29 @@ class OptObj {
   isValid(): boolean {
     throw new Error('isValid not implemented');
   }
+
+  // the features as plain numbers, for optimizers that search through them
+  // directly rather than tweaking them at random
+  getParams(): Array<number> {
+    throw new Error('getParams not implemented');
+  }
+
+  // a copy with its features set to `params`, in the same order getParams
+  // gives them
+  withParams(params: Array<number>): OptObj {
+    var objCopy = this.copy();
+    objCopy.__setParams(params);
+    return objCopy;
+  }
+
+  __setParams(params: Array<number>): void {
+    throw new Error('__setParams not implemented');
+  }
+
+  // about how far a tweak moves each param
+  getParamScale(): number {
+    return 1;
+  }
 }
 
 module.exports = OptObj;
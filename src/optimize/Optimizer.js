@@ -0,0 +1,58 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+
+// runs an optimization a step at a time, so that it can be drawn as it goes.
+// every step returns the best thing found so far
+class Optimizer {
+  best: OptObj;
+  bestPerf: number;
+  __start: OptObj;
+
+  constructor(thing: OptObj): void {
+    this.__start = thing;
+    this.best = thing;
+    this.bestPerf = this.__evaluate(thing);
+  }
+
+  step(): OptObj {
+    throw new Error('step not implemented');
+  }
+
+  // the lower the better. invalid things are worse than anything
+  __evaluate(thing: OptObj): number {
+    return thing.isValid() ? thing.calcPerfCached() : Infinity;
+  }
+
+  // keeps hold of the thing if it's the best so far
+  __consider(thing: OptObj, perf: number): void {
+    if (perf < this.bestPerf) {
+      this.best = thing;
+      this.bestPerf = perf;
+    }
+  }
+
+  // makes and evaluates the thing with the given params, for optimizers that
+  // search through them
+  __evaluateParams(params: Array<number>): {thing: ?OptObj; perf: number} {
+    var thing;
+    try {
+      thing = this.__start.withParams(params);
+    } catch (e) {
+      return {thing: null, perf: Infinity};
+    }
+
+    var perf = this.__evaluate(thing);
+    this.__consider(thing, perf);
+    return {thing, perf};
+  }
+
+  // a number from the standard normal distribution
+  static randomNormal(): number {
+    var u = 1 - Math.random();
+    var v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+module.exports = Optimizer;
@@ -51,6 +51,24 @@ class SimpleCurveOptObj extends OptObj {
     });
   }
 
+  getParams(): Array<number> {
+    return this.__data.pathInput.reduce(
+      (params, {x, y}) => params.concat([x, y]),
+      []
+    );
+  }
+
+  __setParams(params: Array<number>): void {
+    this.__data.pathInput = this.__data.pathInput.map((point, i) => ({
+      x: params[2 * i],
+      y: params[2 * i + 1],
+    }));
+  }
+
+  getParamScale(): number {
+    return RANGE;
+  }
+
   isValid(): boolean {
     return true;
   }
@@ -0,0 +1,29 @@
+/* @flow */
+
+var OptObj = require('./OptObj');
+var Optimizer = require('./Optimizer');
+
+// the strategies an optimization can use, by name, in the order the UI
+// cycles through them
+var OPTIMIZERS = {
+  'hill climbing': require('./HillClimbOptimizer'),
+  'simulated annealing': require('./AnnealingOptimizer'),
+  'nelder-mead': require('./NelderMeadOptimizer'),
+  'cma-es': require('./CMAESOptimizer'),
+  'differential evolution': require('./DifferentialEvolutionOptimizer'),
+};
+
+var OPTIMIZER_NAMES: Array<string> = Object.keys(OPTIMIZERS);
+
+function makeOptimizer(name: string, thing: OptObj): Optimizer {
+  var OptimizerClass = OPTIMIZERS[name];
+  if (!OptimizerClass) {
+    throw new Error(`optimizer ${name} doesn't exist`);
+  }
+  return new OptimizerClass(thing);
+}
+
+module.exports = {
+  OPTIMIZER_NAMES,
+  makeOptimizer,
+};
@@ -0,0 +1,109 @@
+/* @flow */
+'use strict';
+
+var Linkage = require('../Linkage');
+
+var MAX_COMMANDS = 100;
+
+type Command = {
+  label: string;
+  before: string;
+  after: string;
+};
+
+// each linkage being edited gets its own history, so that it follows the
+// linkage through all the UI states without them having to pass it along
+var histories = new WeakMap();
+
+class EditHistory {
+  static forLinkage(linkage: Linkage): EditHistory {
+    var history = histories.get(linkage);
+    if (!history) {
+      history = new EditHistory();
+      histories.set(linkage, history);
+    }
+    return history;
+  }
+
+  undoStack: Array<Command>;
+  redoStack: Array<Command>;
+  pending: ?{label: string; before: string};
+
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+  }
+
+  // runs an edit right away, and records it as a single command
+  record(linkage: Linkage, label: string, edit: () => any): any {
+    this.begin(linkage, label);
+    var res = edit();
+    this.end(linkage);
+    return res;
+  }
+
+  // for edits that span several events (dragging, optimizing), everything
+  // between begin and end becomes a single command
+  begin(linkage: Linkage, label: string): void {
+    this.pending = {label, before: JSON.stringify(linkage.spec)};
+  }
+
+  end(linkage: Linkage): void {
+    var pending = this.pending;
+    if (!pending) {
+      return;
+    }
+    this.pending = null;
+
+    var after = JSON.stringify(linkage.spec);
+    if (after === pending.before) {
+      // failed edits don't need to be undone
+      return;
+    }
+
+    this.undoStack.push({label: pending.label, before: pending.before, after});
+    if (this.undoStack.length > MAX_COMMANDS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  canUndo(): boolean {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo(): boolean {
+    return this.redoStack.length > 0;
+  }
+
+  undo(linkage: Linkage): ?string {
+    var command = this.undoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    this._restore(linkage, command.before);
+    this.redoStack.push(command);
+    return command.label;
+  }
+
+  redo(linkage: Linkage): ?string {
+    var command = this.redoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    this._restore(linkage, command.after);
+    this.undoStack.push(command);
+    return command.label;
+  }
+
+  _restore(linkage: Linkage, spec: string): void {
+    this.pending = null;
+    linkage.spec = JSON.parse(spec);
+    linkage.calculatePositions();
+  }
+}
+
+module.exports = EditHistory;
@@ -1,16 +1,41 @@
 module.exports = {
+  A: 65,
+  B: 66,
+  C: 67,
   D: 68,
+  ENTER: 13,
   ESC: 27,
+  F: 70,
+  G: 71,
+  K: 75,
+  L: 76,
+  M: 77,
   O: 79,
+  P: 80,
   R: 82,
   S: 83,
   SPACE: 32,
   T: 84,
+  V: 86,
   W: 87,
+  Y: 89,
+  Z: 90,
+  a: 97,
+  b: 98,
+  c: 99,
   d: 100,
+  f: 102,
+  g: 103,
+  k: 107,
+  l: 108,
+  m: 109,
   o: 111,
+  p: 112,
   r: 120,
   s: 115,
   t: 116,
+  v: 118,
   w: 119,
+  y: 121,
+  z: 122,
 };
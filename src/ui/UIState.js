@@ -11,12 +11,20 @@
 var Linkage = require('../Linkage');
 var LinkageRenderer = require('../graphics/LinkageRenderer');
 var LinkageOptObj = require('../optimize/LinkageOptObj');
+var FourBarAnalysis = require('../analysis/FourBarAnalysis');
+var analyzeTolerances = require('../analysis/analyzeTolerances');
+var calcGaitMetrics = require('../analysis/calcGaitMetrics');
+var EditHistory = require('./EditHistory');
 var KEYS = require('./KEYS');
 
 var mixinPointValidation = require('./mixinPointValidation');
-var optimizeStep = require('../optimize/optimizeStep');
+var {OPTIMIZER_NAMES, makeOptimizer} = require('../optimize/optimizers');
+var {wrapAngle} = require('../math/GeometryUtils');
 
 var MAX_TRACE_POINTS = 100;
+// longest time the linkage moves on between two frames, so that it doesn't
+// jump when the tab has been busy or hidden
+var MAX_FRAME_SECONDS = .1;
 
 type Point = {x: number; y: number};
 type StateSpec = {
@@ -26,6 +34,31 @@ type StateSpec = {
   pointB?: Point;
 };
 
+type OptimizeTargetType = {
+  id: string;
+  path: Array<Point>;
+  weight: number;
+  metric: string;
+};
+
+type PrecisionPointType = {
+  id: string;
+  angle: number;
+  point: Point;
+  weight: number;
+};
+
+// everything the optimizer is told, gathered up before it starts
+type OptimizeSettingsType = {
+  targets: Array<OptimizeTargetType>;
+  precisionPoints: Array<PrecisionPointType>;
+  // the rotary that times the precision points
+  rotaryID: ?string;
+  optimizerName: string;
+  lockedPoints: Array<string>;
+  lockedBars: Array<Array<string>>;
+};
+
 type MouseInfo = {
   mousePoint: Point;
   p0id?: string;
@@ -44,12 +77,176 @@ var TRACE_OPTIONS = {
   drawPoints: false,
 };
 
+var INPUT_RANGE_OPTIONS = {
+  lineColor: 'lightGreen',
+  pointColor: 'red',
+};
+
+var GEAR_OPTIONS = {
+  lineColor: 'lightGray',
+  pointColor: 'gray',
+  drawPoints: false,
+};
+
+var RPM_OPTIONS = {
+  pointColor: 'gray',
+};
+// how much `w` and `s` change a selected rotary's rpm by
+var RPM_STEP = 5;
+
+var INTERFERENCE_TEXT_OPTIONS = {
+  pointColor: 'orangeRed',
+};
+
+var BAR_SHAPE_OPTIONS = {
+  pointColor: 'gray',
+};
+
+// the layers and widths a bar can be switched between
+var NUM_LAYERS = 3;
+var BAR_WIDTHS = [.4, .8, 1.2];
+
+var STANCE_OPTIONS = {
+  lineColor: 'lightGreen',
+  lineWidth: 6,
+};
+
+var GAIT_PANEL_OPTIONS = {
+  pointColor: 'dimGray',
+};
+
+var TORQUE_OPTIONS = {
+  pointColor: 'purple',
+};
+
+var LOAD_PREVIEW_OPTIONS = {
+  lineColor: 'plum',
+  pointColor: 'purple',
+  drawPoints: true,
+};
+
+var TOLERANCE_PATH_OPTIONS = {
+  lineColor: 'mediumPurple',
+  drawPoints: false,
+};
+
+var TOLERANCE_PANEL_OPTIONS = {
+  pointColor: 'dimGray',
+};
+
+// how far bars and ground points can be off to begin with, and how many of
+// the parts the path is most sensitive to are listed
+var DEFAULT_TOLERANCE = .05;
+var NUM_SENSITIVITIES_SHOWN = 3;
+// the analysis is redone once the tolerance hasn't changed for this long (in
+// milliseconds), with fewer trials than it would take by default, so that
+// changing it doesn't hold up the editor
+var TOLERANCE_DELAY = 300;
+var INTERACTIVE_TRIALS = 40;
+
+var LOCKED_OPTIONS = {
+  lineColor: 'slateGray',
+  pointColor: 'slateGray',
+  lineWidth: 6,
+  pointRadius: 6,
+};
+
+var PRECISION_OPTIONS = {
+  lineColor: 'hotPink',
+  pointColor: 'magenta',
+  lineWidth: 1,
+};
+
+// how far apart the precision points of a point start out, and how far the
+// last one placed is turned at a time
+var PRECISION_ANGLE_STEP = Math.PI / 4;
+var PRECISION_ANGLE_NUDGE = Math.PI / 12;
+var RAD_TO_DEG = 180 / Math.PI;
+
+var OPTIMIZER_PANEL_OPTIONS = {
+  pointColor: 'dimGray',
+};
+
 var OPTIMIZE_PATH_OPTIONS = {
   lineColor: 'hotPink',
   pointColor: 'magenta',
   drawPoints: false,
 };
 
+// draws the angles a rotary can turn through as arcs around its base, and the
+// dead points that bound them
+function drawInputRange(
+  renderer: LinkageRenderer,
+  linkage: Linkage,
+  rotID: string,
+  inputRange: Object
+): void {
+  var extender = linkage.spec.extenders[linkage.spec.rotaries[rotID]];
+  var base = linkage.getPoint(extender.base);
+  var ref = linkage.getPoint(extender.ref);
+  var refAngle = Math.atan2(ref.y - base.y, ref.x - base.x);
+
+  inputRange.ranges.forEach(({start, end}) => {
+    renderer.drawArc(
+      base,
+      extender.len,
+      refAngle + start,
+      refAngle + end,
+      INPUT_RANGE_OPTIONS
+    );
+  });
+
+  inputRange.deadPoints.forEach(({angle}) => {
+    renderer.drawPoint(
+      {
+        x: base.x + extender.len * Math.cos(refAngle + angle),
+        y: base.y + extender.len * Math.sin(refAngle + angle),
+      },
+      INPUT_RANGE_OPTIONS
+    );
+  });
+}
+
+// the angles (of the first rotary) where a pair of bars hit each other over a
+// cycle, as runs of steps in a row. a run can carry on past the end of the
+// cycle into the start of it
+function describeInterference(
+  linkage: Linkage,
+  steps: Array<{step: number; inputAngles: {[key:string]: number}}>
+): string {
+  var [rotID] = Object.keys(linkage.spec.rotaries);
+  if (!rotID) {
+    return 'hits';
+  }
+
+  var runs = [];
+  steps.forEach(({step, inputAngles}) => {
+    var degrees = Math.round(wrapAngle(inputAngles[rotID]) * RAD_TO_DEG) % 360;
+    var last = runs[runs.length - 1];
+    if (last && last.step === step - 1) {
+      last.step = step;
+      last.end = degrees;
+    } else {
+      runs.push({step, start: degrees, end: degrees});
+    }
+  });
+
+  var last = runs[runs.length - 1];
+  if (
+    runs.length > 1 &&
+    steps[0].step === 0 &&
+    last.step === linkage.getStepsPerCycle() - 1
+  ) {
+    runs[0].start = last.start;
+    runs.pop();
+  }
+
+  return 'hits at ' + runs.map(({start, end}) => start === end ?
+    start + '\u00b0' :
+    start + '\u00b0-' + end + '\u00b0'
+  ).join(', ');
+}
+
 class BaseState {
   static getInitialUnpausedState(linkage: Linkage) {
     return new UnpausedState(linkage);
@@ -78,10 +275,67 @@ class BaseState {
   }
 
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    // with loads on it, show the forces they put through the linkage
+    var loads = this.linkage.spec.loads;
+    var forces = loads && Object.keys(loads).length > 0 ?
+      this.linkage.calculateForces() :
+      null;
+
     renderer.drawLinkage({
       positions: this.linkage.positions,
       points: this.linkage.spec.points,
+      rails: this.linkage.getSliderRails(),
+      actuators: this.linkage.spec.actuators,
+      cams: this.linkage.getCamOutlines(),
+      barForces: forces && forces.bars,
+      loads,
+      toleranceBand: this._getToleranceBand(),
     });
+
+    if (forces) {
+      var {torques} = forces;
+      Object.keys(torques).forEach(rotID => {
+        var base = this.linkage.getPoint(rotID);
+        renderer.drawText(
+          'torque ' + torques[rotID].toFixed(1),
+          {x: base.x + 1, y: base.y - 3.5},
+          TORQUE_OPTIONS
+        );
+      });
+    }
+
+    // connect geared rotaries, labelled with their ratio
+    var gears = this.linkage.spec.gears || {};
+    Object.keys(gears).forEach(rotID => {
+      var driven = this.linkage.getPoint(rotID);
+      var driver = this.linkage.getPoint(gears[rotID].driver);
+      renderer.drawLines([driver, driven], GEAR_OPTIONS);
+      renderer.drawText(
+        parseFloat(gears[rotID].ratio.toFixed(3)) + ':1',
+        {x: (driver.x + driven.x) / 2, y: (driver.y + driven.y) / 2},
+        GEAR_OPTIONS
+      );
+    });
+  }
+
+  // the band a point's path could be in, to draw under the linkage
+  _getToleranceBand(): ?{path: Array<Point>; deviations: Array<number>} {
+    return null;
+  }
+
+  // wraps a change to the linkage, so that it can be undone
+  _edit(label: string, edit: () => any): any {
+    var history = EditHistory.forLinkage(this.linkage);
+    return history.record(this.linkage, label, edit);
+  }
+
+  // for edits made over several events, like dragging
+  _beginEdit(label: string): void {
+    EditHistory.forLinkage(this.linkage).begin(this.linkage, label);
+  }
+
+  _endEdit(): void {
+    EditHistory.forLinkage(this.linkage).end(this.linkage);
   }
 
   // Basic handlers
@@ -104,11 +358,69 @@ class BaseState {
 }
 
 class UnpausedState extends BaseState {  // initial unpaused
+  lastTime: ?number;
+  interference: ?Array<Object>;
+
+  constructor(linkage: Linkage, spec?: ?StateSpec) {
+    super(linkage, spec);
+    // the linkage can only be edited while paused, so the bars that hit each
+    // other over a cycle only have to be found once
+    this.interference = this.linkage.findInterference();
+  }
+
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
-    this.linkage.tryRotatingLinkageInput();
+    // move on by however long it's been since the last frame, rather than a
+    // fixed amount per frame
+    var now = Date.now();
+    if (this.lastTime) {
+      var seconds = Math.min((now - this.lastTime) / 1000, MAX_FRAME_SECONDS);
+      this.linkage.advance(seconds, () => this.onStep());
+    }
+    this.lastTime = now;
+
     super.draw(renderer, mouseInfo);
+    this._drawInterference(renderer);
+
+    var {rotaries} = this.linkage.spec;
+    Object.keys(rotaries).forEach(rotID => {
+      var rpm = Math.abs(this.linkage.getRotaryRPM(rotID));
+      var base = this.linkage.getPoint(rotID);
+      renderer.drawText(
+        rpm.toFixed(1) + ' rpm',
+        {x: base.x + 1, y: base.y - 2},
+        RPM_OPTIONS
+      );
+    });
+  }
+
+  // highlights the bars that hit each other now, and labels each pair with
+  // where in the cycle they do. if the linkage couldn't make it round, every
+  // pair of bars is checked instead
+  _drawInterference(renderer: LinkageRenderer): void {
+    var {positions} = this.linkage;
+    var interference = this.interference;
+    if (!interference) {
+      renderer.drawInterference(this.linkage.findInterferingBars(), positions);
+      return;
+    }
+
+    renderer.drawInterference(
+      this.linkage.findInterferingBars(interference.map(({bars}) => bars)),
+      positions
+    );
+    interference.forEach(({bars, steps}) => {
+      var [p0, p1] = bars[0].map(id => positions[id]);
+      renderer.drawText(
+        describeInterference(this.linkage, steps),
+        {x: (p0.x + p1.x) / 2 + 1, y: (p0.y + p1.y) / 2 - 1},
+        INTERFERENCE_TEXT_OPTIONS
+      );
+    });
   }
 
+  // called after every step the linkage takes, which can be several a frame
+  onStep(): void {}
+
   onKeyUp(key: number): ?BaseState {
     switch (key) {
       case KEYS.SPACE:
@@ -139,8 +451,29 @@ class UnpausedState extends BaseState {  // initial unpaused
 }
 
 class State10 extends UnpausedState { // rotary selected moving
+  inputRange: Object;
+  // the other inputs the range was found with, as JSON
+  heldInputs: string;
+
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this._updateInputRange();
+  }
+
+  // the range holds the other inputs where they are, so it's found again
+  // whenever they've turned (or stretched) since
+  _updateInputRange(): void {
+    var heldInputs = JSON.stringify(this.linkage.getHeldInputs(this.p0id));
+    if (heldInputs !== this.heldInputs) {
+      this.heldInputs = heldInputs;
+      this.inputRange = this.linkage.getInputRange(this.p0id);
+    }
+  }
+
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
     super.draw(renderer, mouseInfo);
+    this._updateInputRange();
+    drawInputRange(renderer, this.linkage, this.p0id, this.inputRange);
 
     var p1id = this.linkage.spec.rotaries[this.p0id];
     var p2id = this.linkage.spec.extenders[p1id].ref;
@@ -158,11 +491,11 @@ class State10 extends UnpausedState { // rotary selected moving
     switch (key) {
       case KEYS.S:
       case KEYS.s:
-        this.linkage.changeSpeed(-1, this.p0id);
+        this.linkage.changeRotaryRPM(-RPM_STEP, this.p0id);
         return this;
       case KEYS.W:
       case KEYS.w:
-        this.linkage.changeSpeed(1, this.p0id);
+        this.linkage.changeRotaryRPM(RPM_STEP, this.p0id);
         return this;
       case KEYS.T:
       case KEYS.t:
@@ -176,15 +509,23 @@ class State10 extends UnpausedState { // rotary selected moving
 
 class State12 extends UnpausedState { // trace point
   tracePoints: Array<Point>;
+  path: ?Array<Point>;
+  gaitMetrics: ?Object;
 
   constructor(linkage: Linkage, spec: StateSpec) {
     super(linkage, spec);
     this.tracePoints = [];
-  }
 
-  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
-    super.draw(renderer, mouseInfo);
+    // the whole path, evenly spaced in time, and how well the point would do
+    // as a foot, if it makes it round a cycle
+    var path = this.linkage.samplePath(this.p0id, {
+      numSamples: this.linkage.getStepsPerCycle(),
+    });
+    this.path = path;
+    this.gaitMetrics = path ? calcGaitMetrics(path) : null;
+  }
 
+  onStep(): void {
     // record the current position
     var curPoint = this.linkage.positions[this.p0id];
     this.tracePoints.push({
@@ -194,9 +535,35 @@ class State12 extends UnpausedState { // trace point
     if (this.tracePoints.length > MAX_TRACE_POINTS) {
       this.tracePoints.shift();
     }
+  }
 
-    renderer.drawLines(this.tracePoints, TRACE_OPTIONS);
-    renderer.drawPoint(curPoint, PREVIEW_OPTIONS);
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    super.draw(renderer, mouseInfo);
+
+    // without a whole path, show where the point has been
+    var path = this.path;
+    renderer.drawLines(
+      path ? path.concat(path[0]) : this.tracePoints,
+      TRACE_OPTIONS
+    );
+    renderer.drawPoint(this.linkage.positions[this.p0id], PREVIEW_OPTIONS);
+
+    var metrics = this.gaitMetrics;
+    if (metrics) {
+      renderer.drawLines(metrics.stance, STANCE_OPTIONS);
+      renderer.drawPanel(
+        [
+          'stride length: ' + metrics.strideLength.toFixed(2),
+          'step height: ' + metrics.stepHeight.toFixed(2),
+          'on the ground: ' + Math.round(100 * metrics.stanceFraction) +
+            '% of the cycle',
+          'ground flatness error: ' + metrics.flatness.toFixed(3),
+          'ground speed variation: ' +
+            Math.round(100 * metrics.velocityVariation) + '%',
+        ],
+        GAIT_PANEL_OPTIONS
+      );
+    }
   }
 }
 
@@ -219,11 +586,20 @@ class PausedState extends BaseState {
   }
 
   onKeyUp(key: number): ?BaseState {
+    var history = EditHistory.forLinkage(this.linkage);
+
     switch (key) {
       case KEYS.SPACE:
         return new UnpausedState(this.linkage);
       case KEYS.ESC:
         return new State0(this.linkage);
+      case KEYS.Z:
+      case KEYS.z:
+        // the selection might not exist anymore, so start over
+        return history.undo(this.linkage) ? new State0(this.linkage) : this;
+      case KEYS.Y:
+      case KEYS.y:
+        return history.redo(this.linkage) ? new State0(this.linkage) : this;
       default:
         return this;
     }
@@ -260,11 +636,48 @@ class State0 extends PausedState { // initial paused
         return this;
     }
   }
+
+  onKeyUp(key: number): ?BaseState {
+    switch (key) {
+      case KEYS.G:
+      case KEYS.g:
+        return new State19(this.linkage);
+      default:
+        return super.onKeyUp(key);
+    }
+  }
+}
+
+class State19 extends PausedState { // four-bar analysis
+  fourBars: Array<Object>;
+
+  constructor(linkage: Linkage, spec?: ?StateSpec) {
+    super(linkage, spec);
+    this.fourBars = FourBarAnalysis.analyzeFourBars(this.linkage);
+  }
+
+  onKeyUp(key: number): ?BaseState {
+    switch (key) {
+      case KEYS.G:
+      case KEYS.g:
+        return new State0(this.linkage);
+      default:
+        return super.onKeyUp(key);
+    }
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    super.draw(renderer, mouseInfo);
+    renderer.drawFourBarOverlay(this.fourBars, this.linkage.positions);
+  }
 }
 
 class OptimizeState extends PausedState {
-  __drawnPoints: Array<Point>;
-  __pointPath: Array<Point>;
+  __settings: OptimizeSettingsType;
+  // what the target points trace now, by id
+  __pointPaths: {[key: string]: Array<Point>};
+  // where each precision point's point is now, at its angle
+  __precisionPositions: Array<?Point>;
 
   onKeyUp(key: number): ?BaseState {
     switch (key) {
@@ -275,18 +688,126 @@ class OptimizeState extends PausedState {
     }
   }
 
+  __tracePointPaths(): void {
+    var ids = this.__settings.targets.map(({id}) => id);
+    if (ids.indexOf(this.p0id) === -1) {
+      ids.push(this.p0id);
+    }
+    this.__pointPaths = this.linkage.samplePaths(ids) || {};
+
+    var {precisionPoints, rotaryID} = this.__settings;
+    this.__precisionPositions = precisionPoints.map(({id, angle}) => {
+      var positions = rotaryID ?
+        this.linkage.calculatePositionsAtInputAngle(rotaryID, angle) :
+        null;
+      return positions ? positions[id] : null;
+    });
+  }
+
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
     super.draw(renderer, mouseInfo);
-    renderer.drawLines(this.__drawnPoints, OPTIMIZE_PATH_OPTIONS);
-    renderer.drawLines(this.__pointPath, TRACE_OPTIONS);
+
+    var {targets, lockedPoints, lockedBars} = this.__settings;
+    lockedBars.forEach(([p0id, p1id]) => renderer.drawLine(
+      this.linkage.getPoint(p0id),
+      this.linkage.getPoint(p1id),
+      LOCKED_OPTIONS
+    ));
+    lockedPoints.forEach(id => renderer.drawPoint(
+      this.linkage.getPoint(id),
+      LOCKED_OPTIONS
+    ));
+    targets.forEach(({path}) => {
+      renderer.drawLines(path, OPTIMIZE_PATH_OPTIONS);
+    });
+    Object.keys(this.__pointPaths).forEach(id => {
+      renderer.drawLines(this.__pointPaths[id], TRACE_OPTIONS);
+    });
+
+    // numbered in the order they were placed, and joined to where their
+    // point is at their angle
+    this.__settings.precisionPoints.forEach(({point, angle}, i) => {
+      var position = this.__precisionPositions[i];
+      if (position) {
+        renderer.drawLine(position, point, PRECISION_OPTIONS);
+      }
+      renderer.drawPoint(point, PRECISION_OPTIONS);
+      renderer.drawText(
+        (i + 1) + ': ' + Math.round(angle * RAD_TO_DEG) + '\u00b0',
+        {x: point.x + 1, y: point.y + 1},
+        PRECISION_OPTIONS
+      );
+    });
   }
 }
 
+// describes a target for the panel, like 'p2: position x1'
+function describeTarget({id, weight, metric}: OptimizeTargetType): string {
+  return id + ': ' + metric + ' x' + weight;
+}
+
 class State15 extends OptimizeState { // draw optimize path
+  __drawnPoints: Array<Point>;
+  __canvasDown: boolean;
+
   constructor(linkage: Linkage, spec: StateSpec) {
     super(linkage, spec);
     this.__drawnPoints = [];
-    this.__pointPath = this.linkage.getPath(this.p0id);
+    this.__canvasDown = false;
+    this.__settings = {
+      targets: [],
+      precisionPoints: [],
+      rotaryID: Object.keys(this.linkage.spec.rotaries)[0],
+      optimizerName: OPTIMIZER_NAMES[0],
+      lockedPoints: [],
+      lockedBars: [],
+    };
+    this.__tracePointPaths();
+  }
+
+  // the target of the selected point, if it has one yet
+  __getTarget(): ?OptimizeTargetType {
+    return this.__settings.targets.filter(({id}) => id === this.p0id)[0];
+  }
+
+  // other points can be given their own target
+  onPointDown(p0id: string): ?BaseState {
+    this.p0id = p0id;
+    this.__tracePointPaths();
+    return this;
+  }
+
+  onGroundDown(p0id: string): ?BaseState {
+    var {lockedPoints} = this.__settings;
+    var i = lockedPoints.indexOf(p0id);
+    if (i === -1) {
+      lockedPoints.push(p0id);
+    } else {
+      lockedPoints.splice(i, 1);
+    }
+    return this;
+  }
+
+  onRotaryDown(p0id: string): ?BaseState {
+    return this.onGroundDown(p0id);
+  }
+
+  onSegmentDown(p0id: string, p1id: string): ?BaseState {
+    var {lockedBars} = this.__settings;
+    var i = lockedBars.findIndex(
+      ids => ids.indexOf(p0id) !== -1 && ids.indexOf(p1id) !== -1
+    );
+    if (i === -1) {
+      lockedBars.push([p0id, p1id]);
+    } else {
+      lockedBars.splice(i, 1);
+    }
+    return this;
+  }
+
+  onCanvasDown(pointA: Point): ?BaseState {
+    this.__canvasDown = true;
+    return this;
   }
 
   onMouseDrag(mousePoint: Point): ?BaseState {
@@ -294,50 +815,207 @@ class State15 extends OptimizeState { // draw optimize path
     return this;
   }
 
+  // a drawn path becomes the selected point's target, in place of any it
+  // had. clicking on the background places a precision point instead, and
+  // clicks that lock things don't do either
   onMouseUp(mousePoint: Point): ?BaseState {
-    return new State16(this.linkage, {p0id: this.p0id}, this.__drawnPoints);
+    var canvasDown = this.__canvasDown;
+    this.__canvasDown = false;
+
+    if (this.__drawnPoints.length === 0) {
+      if (canvasDown) {
+        this.__addPrecisionPoint(mousePoint);
+      }
+      return this;
+    }
+
+    var target = this.__getTarget();
+    if (target) {
+      target.path = this.__drawnPoints;
+    } else {
+      this.__settings.targets.push({
+        id: this.p0id,
+        path: this.__drawnPoints,
+        weight: 1,
+        metric: 'position',
+      });
+    }
+    this.__drawnPoints = [];
+    this.__tracePointPaths();
+    return this;
+  }
+
+  // the selected point's precision points
+  __getPrecisionPoints(): Array<PrecisionPointType> {
+    return this.__settings.precisionPoints.filter(
+      ({id}) => id === this.p0id
+    );
+  }
+
+  // the first precision point of a point is timed at the rotary's angle now,
+  // and each one after that a step further round
+  __addPrecisionPoint(point: Point): void {
+    var {rotaryID, precisionPoints} = this.__settings;
+    if (!rotaryID) {
+      return;
+    }
+
+    var previous = this.__getPrecisionPoints();
+    var {rotaries, extenders} = this.linkage.spec;
+    var angle = previous.length > 0 ?
+      previous[previous.length - 1].angle + PRECISION_ANGLE_STEP :
+      extenders[rotaries[rotaryID]].angle;
+    var target = this.__getTarget();
+    precisionPoints.push({
+      id: this.p0id,
+      angle: wrapAngle(angle),
+      point,
+      weight: target ? target.weight : 1,
+    });
+    this.__tracePointPaths();
+  }
+
+  // turns the selected point's last precision point
+  __nudgePrecisionPoint(turn: number): void {
+    var precisionPoints = this.__getPrecisionPoints();
+    var last = precisionPoints[precisionPoints.length - 1];
+    if (last) {
+      last.angle = wrapAngle(last.angle + turn);
+      this.__tracePointPaths();
+    }
+  }
+
+  onKeyUp(key: number): ?BaseState {
+    var target = this.__getTarget();
+    var {targets, precisionPoints} = this.__settings;
+
+    switch (key) {
+      case KEYS.ENTER:
+        if (targets.length === 0 && precisionPoints.length === 0) {
+          return this;
+        }
+        return new State16(this.linkage, {p0id: this.p0id}, this.__settings);
+      case KEYS.O:
+      case KEYS.o:
+        // move on to the next optimizer
+        var {optimizerName} = this.__settings;
+        var i = OPTIMIZER_NAMES.indexOf(optimizerName);
+        this.__settings.optimizerName =
+          OPTIMIZER_NAMES[(i + 1) % OPTIMIZER_NAMES.length];
+        return this;
+      case KEYS.W:
+      case KEYS.w:
+        this.__scaleWeight(2);
+        return this;
+      case KEYS.S:
+      case KEYS.s:
+        this.__scaleWeight(.5);
+        return this;
+      case KEYS.A:
+      case KEYS.a:
+        this.__nudgePrecisionPoint(-PRECISION_ANGLE_NUDGE);
+        return this;
+      case KEYS.D:
+      case KEYS.d:
+        this.__nudgePrecisionPoint(PRECISION_ANGLE_NUDGE);
+        return this;
+      case KEYS.M:
+      case KEYS.m:
+        if (target) {
+          target.metric = target.metric === 'position' ? 'shape' : 'position';
+        }
+        return this;
+      default:
+        return super.onKeyUp(key);
+    }
+  }
+
+  // how much the selected point's path and precision points count
+  __scaleWeight(scale: number): void {
+    var target = this.__getTarget();
+    if (target) {
+      target.weight *= scale;
+    }
+    this.__getPrecisionPoints().forEach(precisionPoint => {
+      precisionPoint.weight *= scale;
+    });
   }
 
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
     var {mousePoint} = mouseInfo;
     super.draw(renderer, mouseInfo);
 
+    renderer.drawLines(this.__drawnPoints, OPTIMIZE_PATH_OPTIONS);
     renderer.drawPoint(this.linkage.getPoint(this.p0id), PREVIEW_OPTIONS);
     renderer.drawPoint(mousePoint, OPTIMIZE_PATH_OPTIONS);
+    renderer.drawPanel(
+      [
+        'optimizer: ' + this.__settings.optimizerName + ' (o to change)',
+        'click ground points and bars to lock them',
+        'click points and draw paths for them, then press enter',
+        'click the background to place timed precision points',
+        'w/s: weight, m: position or shape, a/d: turn precision point',
+      ].concat(this.__settings.targets.map(describeTarget)),
+      OPTIMIZER_PANEL_OPTIONS
+    );
   }
 }
 
 class State16 extends OptimizeState { // actually optimize
   _stopOptimizing: boolean;
+  _bestPerf: number;
 
-  constructor(linkage: Linkage, spec: StateSpec, drawnPoints: Array<Point>) {
+  constructor(
+    linkage: Linkage,
+    spec: StateSpec,
+    settings: OptimizeSettingsType
+  ) {
     super(linkage, spec);
-    this.__pointPath = this.linkage.getPath(this.p0id);
-    this.__drawnPoints = drawnPoints;
+    this.__settings = settings;
+    this.__tracePointPaths();
     this._stopOptimizing = false;
+
+    // the whole optimizer run is undone in one step
+    this._beginEdit('optimize');
     this._startOptimization();
   }
 
   onKeyUp(key: number): ?BaseState {
     this._stopOptimizing = true;
+    this._endEdit();
     return super.onKeyUp(key);
   }
 
   _startOptimization() {
-    var optObj = new LinkageOptObj({
-      path: this.__drawnPoints,
-      linkageSpec: this.linkage.spec,
-      id: this.p0id,
-    });
+    var {
+      targets,
+      precisionPoints,
+      rotaryID,
+      optimizerName,
+      lockedPoints,
+      lockedBars,
+    } = this.__settings;
+    var optimizer = makeOptimizer(optimizerName, new LinkageOptObj({
+      targets,
+      precisionPoints,
+      rotaryID: rotaryID || undefined,
+      linkageSpec: JSON.parse(JSON.stringify(this.linkage.spec)),
+      lockedPoints,
+      lockedBars,
+    }));
+    this._bestPerf = optimizer.bestPerf;
 
     var pauseTime = 0;
 
     var iterate = function () {
       if (!this._stopOptimizing) {
         setTimeout(iterate, pauseTime);
-        optObj = optimizeStep(optObj);
-        this.linkage = optObj.linkage;
-        this.__pointPath = this.linkage.getPath(this.p0id);
+        var optObj: any = optimizer.step();
+        this._bestPerf = optimizer.bestPerf;
+        // keep editing the same linkage, so its history carries on
+        this.linkage.spec = JSON.parse(JSON.stringify(optObj.linkage.spec));
+        this.linkage.calculatePositions();
+        this.__tracePointPaths();
       }
     };
 
@@ -349,14 +1027,29 @@ class State16 extends OptimizeState { // actually optimize
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
     super.draw(renderer, mouseInfo);
 
-    renderer.drawPoint(this.linkage.getPoint(this.p0id), PREVIEW_OPTIONS);
+    this.__settings.targets.forEach(({id}) => {
+      renderer.drawPoint(this.linkage.getPoint(id), PREVIEW_OPTIONS);
+    });
+    renderer.drawPanel(
+      [
+        'optimizer: ' + this.__settings.optimizerName,
+        'score: ' + this._bestPerf.toFixed(2),
+      ].concat(this.__settings.targets.map(describeTarget)),
+      OPTIMIZER_PANEL_OPTIONS
+    );
   }
 }
 
 class State14 extends PausedState { // point down
   dragged: ?boolean;
 
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this._beginEdit('move point');
+  }
+
   onMouseUp(mousePoint: Point): ?BaseState {
+    this._endEdit();
     return this.dragged ?
       new State0(this.linkage) :
       new State4(this.linkage, {p0id: this.p0id});
@@ -386,8 +1079,10 @@ class State11 extends PausedState { // adding rotary
   }
 
   onMouseUp(mousePoint: Point): ?BaseState {
-    this.linkage.addRotaryInput(mousePoint);
-    this.linkage.calculatePositions();
+    this._edit('add rotary', () => {
+      this.linkage.addRotaryInput(mousePoint);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
@@ -444,8 +1139,10 @@ class State13 extends PausedState { // canvas then point
   }
 
   onCanvasUp(pointB: Point): ?BaseState {
-    this.linkage.addGroundSegment(this.pointA, pointB, this.p0id);
-    this.linkage.calculatePositions();
+    this._edit('add ground segment', () => {
+      this.linkage.addGroundSegment(this.pointA, pointB, this.p0id);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
@@ -475,8 +1172,10 @@ class State2 extends PausedState { // canvas1 + canvas2
   }
 
   onAnyPointUp(p0id: string): ?BaseState {
-    this.linkage.addGroundSegment(this.pointA, this.pointB, p0id);
-    this.linkage.calculatePositions();
+    this._edit('add ground segment', () => {
+      this.linkage.addGroundSegment(this.pointA, this.pointB, p0id);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
@@ -491,7 +1190,13 @@ class State2 extends PausedState { // canvas1 + canvas2
 class State3 extends PausedState { // ground down
   dragged: ?boolean;
 
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this._beginEdit('move ground point');
+  }
+
   onMouseUp(mousePoint: Point): ?BaseState {
+    this._endEdit();
     return this.dragged ?
       new State0(this.linkage) :
       new State4(this.linkage, {p0id: this.p0id});
@@ -532,18 +1237,45 @@ class State4 extends PausedState { // point1
     switch (key) {
       case KEYS.D:
       case KEYS.d:
-        if (this.linkage.tryRemovingPoint(this.p0id)) {
+        var removed = this._edit(
+          'delete',
+          () => this.linkage.tryRemovingPoint(this.p0id)
+        );
+        if (removed) {
           return new State0(this.linkage);
         } else {
           return this;
         }
       case KEYS.o:
       case KEYS.O:
-        if (this.linkage.getPath(this.p0id)) {
+        if (this.linkage.samplePath(this.p0id)) {
           return new State15(this.linkage, {p0id: this.p0id});
         } else {
           return this;
         }
+      case KEYS.f:
+      case KEYS.F:
+        this._edit('flip', () => this.linkage.tryFlippingSolution(this.p0id));
+        return this;
+      case KEYS.l:
+      case KEYS.L:
+        return new State17(this.linkage, {p0id: this.p0id});
+      case KEYS.p:
+      case KEYS.P:
+        // loaded points lose their load, others get one
+        var loads = this.linkage.spec.loads;
+        if (loads && loads[this.p0id]) {
+          this._edit('remove load', () => this.linkage.setLoad(this.p0id));
+          return new State0(this.linkage);
+        }
+        return new State22(this.linkage, {p0id: this.p0id});
+      case KEYS.m:
+      case KEYS.M:
+        if (this.linkage.samplePath(this.p0id)) {
+          return new State23(this.linkage, {p0id: this.p0id});
+        } else {
+          return this;
+        }
       case KEYS.SPACE:
         return new State12(this.linkage, {p0id: this.p0id});
       default:
@@ -564,6 +1296,62 @@ class State4 extends PausedState { // point1
   }
 }
 
+class State17 extends PausedState { // slider rail start
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+
+    mixinPointValidation(
+      [this.linkage.getPoint(this.p0id)],
+      ['onCanvasUp'],
+      this
+    );
+  }
+
+  onCanvasUp(pointA: Point): ?BaseState {
+    return new State18(this.linkage, {p0id: this.p0id, pointA});
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    var {mousePoint} = mouseInfo;
+    super.draw(renderer, mouseInfo);
+    renderer.drawPoint(this.linkage.getPoint(this.p0id), PREVIEW_OPTIONS);
+    renderer.drawPoint(mousePoint, PREVIEW_OPTIONS);
+  }
+}
+
+class State18 extends PausedState { // slider rail start + slider
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+
+    mixinPointValidation(
+      [this.pointA, this.linkage.getPoint(this.p0id)],
+      ['onCanvasUp'],
+      this
+    );
+  }
+
+  onCanvasUp(pointB: Point): ?BaseState {
+    this._edit('add slider', () => {
+      this.linkage.addSlider(this.p0id, this.pointA, pointB);
+      this.linkage.calculatePositions();
+    });
+    return new State0(this.linkage);
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    var {mousePoint} = mouseInfo;
+    super.draw(renderer, mouseInfo);
+    renderer.drawLines([this.pointA, mousePoint], PREVIEW_OPTIONS);
+    renderer.drawLines(
+      [
+        this.linkage.getPoint(this.p0id),
+        mousePoint,
+      ],
+      PREVIEW_OPTIONS
+    );
+  }
+}
+
 class State5 extends PausedState { // point2
   constructor(linkage: Linkage, spec: StateSpec) {
     super(linkage, spec);
@@ -576,8 +1364,10 @@ class State5 extends PausedState { // point2
   }
 
   onCanvasUp(pointA: Point): ?BaseState {
-    this.linkage.addTriangle(this.p0id, this.p1id, pointA);
-    this.linkage.calculatePositions();
+    this._edit('add triangle', () => {
+      this.linkage.addTriangle(this.p0id, this.p1id, pointA);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
@@ -607,14 +1397,18 @@ class State6 extends PausedState { // point1 + canvas1
   }
 
   onCanvasUp(pointB: Point): ?BaseState {
-    this.linkage.addGroundSegment(pointB, this.pointA, this.p0id);
-    this.linkage.calculatePositions();
+    this._edit('add ground segment', () => {
+      this.linkage.addGroundSegment(pointB, this.pointA, this.p0id);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
   onAnyPointUp(p1id: string): ?BaseState {
-    this.linkage.addTriangle(this.p0id, p1id, this.pointA);
-    this.linkage.calculatePositions();
+    this._edit('add triangle', () => {
+      this.linkage.addTriangle(this.p0id, p1id, this.pointA);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
@@ -635,7 +1429,13 @@ class State6 extends PausedState { // point1 + canvas1
 class State7 extends PausedState { // rotary down
   dragged: ?boolean;
 
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this._beginEdit('move rotary');
+  }
+
   onMouseUp(mousePoint: Point): ?BaseState {
+    this._endEdit();
     return this.dragged ?
       new State0(this.linkage) :
       new State8(this.linkage, {p0id: this.p0id});
@@ -678,13 +1478,35 @@ class State7 extends PausedState { // rotary down
 }
 
 class State8 extends State0 { // rotary selected
+  inputRange: Object;
+
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this.inputRange = this.linkage.getInputRange(this.p0id);
+  }
+
   onKeyUp(key: number): ?BaseState {
     switch (key) {
       case KEYS.SPACE:
         return new State10(this.linkage, {p0id: this.p0id});
+      case KEYS.c:
+      case KEYS.C:
+        var gears = this.linkage.spec.gears || {};
+        if (gears[this.p0id]) {
+          this._edit('remove gear', () => this.linkage.removeGear(this.p0id));
+          return this;
+        }
+        return new State20(this.linkage, {p0id: this.p0id});
+      case KEYS.k:
+      case KEYS.K:
+        return new State21(this.linkage, {p0id: this.p0id});
       case KEYS.d:
       case KEYS.D:
-        if (this.linkage.tryRemovingPoint(this.p0id)) {
+        var removed = this._edit(
+          'delete',
+          () => this.linkage.tryRemovingPoint(this.p0id)
+        );
+        if (removed) {
           return new State0(this.linkage);
         } else {
           return this;
@@ -696,6 +1518,7 @@ class State8 extends State0 { // rotary selected
 
   draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
     super.draw(renderer, mouseInfo);
+    drawInputRange(renderer, this.linkage, this.p0id, this.inputRange);
     var p1id = this.linkage.spec.rotaries[this.p0id];
     var p2id = this.linkage.spec.extenders[p1id].ref;
     renderer.drawLines(
@@ -709,6 +1532,204 @@ class State8 extends State0 { // rotary selected
   }
 }
 
+class State22 extends PausedState { // point selected, placing a load
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+
+    mixinPointValidation(
+      [this.linkage.getPoint(this.p0id)],
+      ['onCanvasUp'],
+      this
+    );
+  }
+
+  onCanvasUp(pointA: Point): ?BaseState {
+    var point = this.linkage.getPoint(this.p0id);
+    this._edit('add load', () => this.linkage.setLoad(this.p0id, {
+      x: pointA.x - point.x,
+      y: pointA.y - point.y,
+    }));
+    return new State0(this.linkage);
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    var {mousePoint} = mouseInfo;
+    super.draw(renderer, mouseInfo);
+    renderer.drawLines(
+      [this.linkage.getPoint(this.p0id), mousePoint],
+      LOAD_PREVIEW_OPTIONS
+    );
+  }
+}
+
+class State23 extends PausedState { // point selected, showing tolerances
+  tolerance: number;
+  analysis: ?Object;
+  _pendingAnalysis: ?number;
+
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+    this.tolerance = DEFAULT_TOLERANCE;
+    this.analysis = null;
+    this._pendingAnalysis = null;
+    this._scheduleAnalysis(0);
+  }
+
+  // analyzing takes a while, so it waits until the tolerance has settled.
+  // until it's done, the last analysis is still shown
+  _scheduleAnalysis(delay: number): void {
+    this._cancelAnalysis();
+    this._pendingAnalysis = setTimeout(() => {
+      this._pendingAnalysis = null;
+      this._analyze();
+    }, delay);
+  }
+
+  _cancelAnalysis(): void {
+    if (this._pendingAnalysis !== null) {
+      clearTimeout(this._pendingAnalysis);
+      this._pendingAnalysis = null;
+    }
+  }
+
+  // the linkage might not make it round its own cycle, and then there's
+  // nothing to show
+  _analyze(): void {
+    try {
+      this.analysis = analyzeTolerances(this.linkage.spec, this.p0id, {
+        barTolerance: this.tolerance,
+        groundTolerance: this.tolerance,
+        numTrials: INTERACTIVE_TRIALS,
+      });
+    } catch (e) {
+      this.analysis = null;
+    }
+  }
+
+  _getToleranceBand(): ?{path: Array<Point>; deviations: Array<number>} {
+    var analysis = this.analysis;
+    return analysis ?
+      {path: analysis.nominal, deviations: analysis.deviations} :
+      null;
+  }
+
+  onKeyUp(key: number): ?BaseState {
+    switch (key) {
+      case KEYS.W:
+      case KEYS.w:
+        this.tolerance *= 2;
+        this._scheduleAnalysis(TOLERANCE_DELAY);
+        return this;
+      case KEYS.S:
+      case KEYS.s:
+        this.tolerance /= 2;
+        this._scheduleAnalysis(TOLERANCE_DELAY);
+        return this;
+      case KEYS.m:
+      case KEYS.M:
+        this._cancelAnalysis();
+        return new State0(this.linkage);
+      default:
+        // don't analyze for a state that's been left
+        var state = super.onKeyUp(key);
+        if (state !== this) {
+          this._cancelAnalysis();
+        }
+        return state;
+    }
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    super.draw(renderer, mouseInfo);
+
+    var tolerance = 'tolerance: ' + this.tolerance.toFixed(3) +
+      (this._pendingAnalysis !== null ? ' (analyzing)' : '');
+    var analysis = this.analysis;
+    if (!analysis) {
+      renderer.drawPanel([tolerance], TOLERANCE_PANEL_OPTIONS);
+      return;
+    }
+
+    var {nominal, worstDeviation, numTrials, numFailures, sensitivities} =
+      analysis;
+    renderer.drawLines(nominal.concat(nominal[0]), TOLERANCE_PATH_OPTIONS);
+
+    var describe = ({type, ids, axis}) => type === 'bar' ?
+      'bar ' + ids.join('-') :
+      'ground ' + ids[0] + ' ' + (axis || '');
+    renderer.drawPanel(
+      [
+        tolerance,
+        'worst deviation: ' + worstDeviation.toFixed(3),
+        'failed to cycle: ' + numFailures + ' of ' + numTrials,
+        'most sensitive to:',
+      ].concat(
+        sensitivities.slice(0, NUM_SENSITIVITIES_SHOWN).map(
+          sensitivity => '  ' + describe(sensitivity) + ': ' +
+            sensitivity.sensitivity.toFixed(2)
+        )
+      ),
+      TOLERANCE_PANEL_OPTIONS
+    );
+  }
+}
+
+class State20 extends PausedState { // rotary selected, picking its driver
+  onRotaryDown(p1id: string): ?BaseState {
+    if (p1id === this.p0id) {
+      return new State0(this.linkage);
+    }
+
+    // gear at the ratio the two rotaries are already turning at
+    var {rotaries, extenders} = this.linkage.spec;
+    var ratio = extenders[rotaries[this.p0id]].speed /
+      extenders[rotaries[p1id]].speed;
+    this._edit(
+      'add gear',
+      () => this.linkage.setGear(this.p0id, p1id, ratio)
+    );
+    return new State0(this.linkage);
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    var {mousePoint} = mouseInfo;
+    super.draw(renderer, mouseInfo);
+    renderer.drawLines(
+      [this.linkage.getPoint(this.p0id), mousePoint],
+      GEAR_OPTIONS
+    );
+  }
+}
+
+class State21 extends PausedState { // rotary selected, placing a cam follower
+  constructor(linkage: Linkage, spec: StateSpec) {
+    super(linkage, spec);
+
+    mixinPointValidation(
+      [this.linkage.getPoint(this.p0id)],
+      ['onCanvasUp'],
+      this
+    );
+  }
+
+  onCanvasUp(pointA: Point): ?BaseState {
+    this._edit('add cam', () => {
+      this.linkage.addCam(this.p0id, pointA);
+      this.linkage.calculatePositions();
+    });
+    return new State0(this.linkage);
+  }
+
+  draw(renderer: LinkageRenderer, mouseInfo: MouseInfo): void {
+    var {mousePoint} = mouseInfo;
+    super.draw(renderer, mouseInfo);
+    renderer.drawLines(
+      [this.linkage.getPoint(this.p0id), mousePoint],
+      PREVIEW_OPTIONS
+    );
+  }
+}
+
 class State9 extends PausedState { // segment selected
   constructor(linkage: Linkage, spec: StateSpec) {
     super(linkage, spec);
@@ -721,20 +1742,61 @@ class State9 extends PausedState { // segment selected
   }
 
   onCanvasUp(pointA: Point): ?BaseState {
-    this.linkage.addTriangle(this.p0id, this.p1id, pointA);
-    this.linkage.calculatePositions();
+    this._edit('add triangle', () => {
+      this.linkage.addTriangle(this.p0id, this.p1id, pointA);
+      this.linkage.calculatePositions();
+    });
     return new State0(this.linkage);
   }
 
+  onKeyUp(key: number): ?BaseState {
+    switch (key) {
+      case KEYS.A:
+      case KEYS.a:
+        this._edit(
+          'toggle actuator',
+          () => this.linkage.toggleActuator(this.p0id, this.p1id)
+        );
+        return this;
+      case KEYS.V:
+      case KEYS.v:
+        var {layer} = this.linkage.getBarShape(this.p0id, this.p1id);
+        this._edit('change bar layer', () => this.linkage.setBarLayer(
+          (layer + 1) % NUM_LAYERS,
+          this.p0id,
+          this.p1id
+        ));
+        return this;
+      case KEYS.B:
+      case KEYS.b:
+        var {width} = this.linkage.getBarShape(this.p0id, this.p1id);
+        var nextWidth = BAR_WIDTHS.filter(w => w > width)[0] || BAR_WIDTHS[0];
+        this._edit('change bar width', () => this.linkage.setBarWidth(
+          nextWidth,
+          this.p0id,
+          this.p1id
+        ));
+        return this;
+      default:
+        return super.onKeyUp(key);
+    }
+  }
+
   onKeyPress(key: number): ?BaseState {
     switch (key) {
       case KEYS.S:
       case KEYS.s:
-        this.linkage.tryChangingBarLength(-1, this.p0id, this.p1id);
+        this._edit(
+          'change bar length',
+          () => this.linkage.tryChangingBarLength(-1, this.p0id, this.p1id)
+        );
         return this;
       case KEYS.W:
       case KEYS.w:
-        this.linkage.tryChangingBarLength(1, this.p0id, this.p1id);
+        this._edit(
+          'change bar length',
+          () => this.linkage.tryChangingBarLength(1, this.p0id, this.p1id)
+        );
         return this;
       default:
         return super.onKeyPress(key);
@@ -753,6 +1815,15 @@ class State9 extends PausedState { // segment selected
       ],
       PREVIEW_OPTIONS
     );
+
+    var p0 = this.linkage.getPoint(this.p0id);
+    var p1 = this.linkage.getPoint(this.p1id);
+    var {width, layer} = this.linkage.getBarShape(this.p0id, this.p1id);
+    renderer.drawText(
+      `layer ${layer + 1}, width ${width}`,
+      {x: (p0.x + p1.x) / 2 + 1, y: (p0.y + p1.y) / 2 - 1},
+      BAR_SHAPE_OPTIONS
+    );
   }
 }
 